@@ -0,0 +1,94 @@
+// create-admin.mjs - bootstrap admin accounts from the command line
+import crypto from 'crypto';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import AdminUser, { ADMIN_ROLES } from './models/AdminUser.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+dotenv.config({ path: path.join(__dirname, '.env') });
+
+function parseArgs(args) {
+  const options = { role: 'owner' };
+  args.forEach(arg => {
+    const [name, ...rest] = arg.replace(/^--/, '').split('=');
+    options[name] = rest.join('=');
+  });
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  
+  if (!options.email) {
+    console.log(`
+🔐 Admin Account Bootstrap for Sorvide 🔐
+
+Usage:
+  node create-admin.mjs --email=EMAIL [options]
+
+Options:
+  --email=EMAIL       Admin email address (required)
+  --name="NAME"       Display name
+  --role=ROLE         One of: ${ADMIN_ROLES.join(', ')} (default: owner)
+  --password=PASS     Password, at least 12 characters (default: generated)
+
+Examples:
+  node create-admin.mjs --email=founder@sorvide.com
+  node create-admin.mjs --email=help@sorvide.com --role=support
+    `);
+    return;
+  }
+  
+  if (!ADMIN_ROLES.includes(options.role)) {
+    throw new Error(`Role must be one of: ${ADMIN_ROLES.join(', ')}`);
+  }
+  
+  const generated = !options.password;
+  const password = options.password || crypto.randomBytes(18).toString('base64url');
+  
+  if (password.length < 12) {
+    throw new Error('Password must be at least 12 characters');
+  }
+  
+  if (!process.env.MONGODB_URI) {
+    throw new Error('MONGODB_URI is not set');
+  }
+  
+  await mongoose.connect(process.env.MONGODB_URI, { serverSelectionTimeoutMS: 5000 });
+  
+  try {
+    if (await AdminUser.exists({ email: options.email.toLowerCase() })) {
+      throw new Error(`An admin with email ${options.email} already exists`);
+    }
+    
+    if (options.role === 'owner' && await AdminUser.exists({ role: 'owner' })) {
+      console.log('ℹ️ An owner already exists; creating another one');
+    }
+    
+    const adminUser = new AdminUser({
+      email: options.email,
+      name: options.name,
+      role: options.role,
+      createdBy: 'create-admin.mjs'
+    });
+    await adminUser.setPassword(password);
+    await adminUser.save();
+    
+    console.log(`✅ Created ${adminUser.role} account for ${adminUser.email}`);
+    if (generated) {
+      console.log(`🔑 Generated password (shown once): ${password}`);
+    }
+    console.log('➡️  Sign in with POST /api/admin/login\n');
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Failed to create admin:', error.message);
+  process.exitCode = 1;
+});
@@ -3,30 +3,18 @@ import crypto from 'crypto';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { importGeneratedKeys } from './lib/key-import.js';
+import { generateLicenseKey } from './lib/license-keys.js';
 
 // Get current directory (ES modules don't have __dirname)
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 class LicenseKeyGenerator {
-  constructor() {
-    this.chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-  }
-  
   generateKey(type = 'monthly', durationMonths = 1, customerEmail = null, notes = '') {
-    // Generate random key parts
-    const generatePart = () => {
-      let part = '';
-      for (let i = 0; i < 4; i++) {
-        part += this.chars.charAt(Math.floor(Math.random() * this.chars.length));
-      }
-      return part;
-    };
-    
-    // Create base key
-    let key = 'SORV-' + generatePart() + '-' + generatePart() + '-' + generatePart() + '-' + generatePart();
-    
-    // Add type prefix
+    // Pick key prefix and duration for the type
     let prefix = 'MONTH';
     let actualDuration = durationMonths;
     
@@ -38,12 +26,10 @@ class LicenseKeyGenerator {
       actualDuration = 999; // Lifetime
     }
     
-    const fullKey = prefix + '-' + key;
+    const fullKey = generateLicenseKey(prefix);
     
-    // Calculate expiration date
+    // The expiry clock starts when the key is first activated
     const createdAt = new Date();
-    const expiresAt = new Date();
-    expiresAt.setMonth(expiresAt.getMonth() + actualDuration);
     
     return {
       key: fullKey,
@@ -52,7 +38,7 @@ class LicenseKeyGenerator {
       customerEmail: customerEmail,
       notes: notes,
       createdAt: createdAt.toISOString(),
-      expiresAt: expiresAt.toISOString(),
+      expiresAt: null, // Set on activation
       isActive: true,
       usedByDeviceId: null, // Will be set when activated
       activatedAt: null
@@ -80,9 +66,9 @@ class LicenseKeyGenerator {
     
     // Also save as CSV for easy copying
     const csvPath = path.join(__dirname, 'generated-keys.csv');
-    let csvContent = 'Key,Type,Duration (Months),Expires At,Notes\n';
+    let csvContent = 'Key,Type,Duration (Months),Notes\n';
     keys.forEach(key => {
-      csvContent += `"${key.key}",${key.type},${key.durationMonths},"${key.expiresAt}","${key.notes || ''}"\n`;
+      csvContent += `"${key.key}",${key.type},${key.durationMonths},"${key.notes || ''}"\n`;
     });
     
     fs.writeFileSync(csvPath, csvContent);
@@ -91,13 +77,44 @@ class LicenseKeyGenerator {
     return { jsonPath: filePath, csvPath: csvPath };
   }
   
+  loadFromFile(filename = 'generated-keys.json') {
+    const filePath = path.resolve(__dirname, filename);
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return Array.isArray(data) ? data : data.keys;
+  }
+  
+  async importToDatabase(keys) {
+    dotenv.config({ path: path.join(__dirname, '.env') });
+    
+    if (!process.env.MONGODB_URI) {
+      throw new Error('MONGODB_URI is not set');
+    }
+    
+    await mongoose.connect(process.env.MONGODB_URI, { serverSelectionTimeoutMS: 5000 });
+    try {
+      return await importGeneratedKeys(keys);
+    } finally {
+      await mongoose.disconnect();
+    }
+  }
+  
+  displayImportReport(report) {
+    console.log('\n📥 === IMPORT REPORT === 📥\n');
+    console.log(`✅ Imported: ${report.imported.length}`);
+    console.log(`⏭️  Skipped:  ${report.skipped.length}`);
+    report.skipped.forEach(item => console.log(`   ${item.key} - ${item.reason}`));
+    console.log(`❌ Failed:   ${report.failed.length}`);
+    report.failed.forEach(item => console.log(`   ${item.key || '(no key)'} - ${item.reason}`));
+    console.log(`\n📊 Total: ${report.total} keys processed\n`);
+  }
+  
   displayKeys(keys) {
     console.log('\n🎉 === GENERATED LICENSE KEYS === 🎉\n');
     keys.forEach((key, index) => {
       console.log(`${index + 1}. ${key.key}`);
       console.log(`   📝 Type: ${key.type.toUpperCase()}`);
       console.log(`   ⏱️  Duration: ${key.durationMonths} month(s)`);
-      console.log(`   📅 Expires: ${new Date(key.expiresAt).toLocaleDateString()}`);
+      console.log(`   📅 Expires: ${key.durationMonths} month(s) after activation`);
       if (key.customerEmail) console.log(`   📧 Customer: ${key.customerEmail}`);
       if (key.notes) console.log(`   📋 Notes: ${key.notes}`);
       console.log('');
@@ -134,15 +151,31 @@ Options:
   --save-to-file      Save to JSON/CSV file (default: true)
   --no-save           Don't save to file
   --show              Display generated keys (default: true)
+  --to-db             Import the generated keys into MongoDB (uses MONGODB_URI)
+  --import[=FILE]     Import an existing batch into MongoDB instead of generating
+                      (default file: generated-keys.json)
 
 Examples:
   node generate-keys.mjs --count=5 --type=monthly
   node generate-keys.mjs --type=lifetime --email="winner@example.com" --notes="Giveaway prize"
   node generate-keys.mjs --count=10 --type=yearly --no-save
+  node generate-keys.mjs --count=20 --type=yearly --notes="Launch giveaway" --to-db
+  node generate-keys.mjs --import=generated-keys.json
     `);
     return;
   }
   
+  // Import an existing batch without generating new keys
+  const importArg = args.find(arg => arg === '--import' || arg.startsWith('--import='));
+  if (importArg) {
+    const file = importArg.includes('=') ? importArg.split('=')[1] : 'generated-keys.json';
+    console.log(`📥 Importing keys from ${file}...`);
+    
+    const report = await generator.importToDatabase(generator.loadFromFile(file));
+    generator.displayImportReport(report);
+    return report;
+  }
+  
   // Parse arguments
   const options = {
     count: 1,
@@ -151,6 +184,7 @@ Examples:
     email: null,
     notes: '',
     saveToFile: !args.includes('--no-save'),
+    toDatabase: args.includes('--to-db'),
     show: !args.includes('--no-show')
   };
   
@@ -205,6 +239,16 @@ Examples:
     }
   }
   
+  // Import into MongoDB if requested
+  if (options.toDatabase) {
+    try {
+      const report = await generator.importToDatabase(keys);
+      generator.displayImportReport(report);
+    } catch (error) {
+      console.error(`❌ Failed to import keys:`, error.message);
+    }
+  }
+  
   // Display keys
   if (options.show) {
     generator.displayKeys(keys);
@@ -213,7 +257,7 @@ Examples:
     console.log('🚀 === HOW TO DISTRIBUTE KEYS ===');
     console.log('1. Send the key to the customer');
     console.log('2. Customer activates it in the Sorvide extension');
-    console.log('3. System will validate against database\n');
+    console.log('3. System will validate against database (import with --to-db or --import first)\n');
     
     if (keys.length > 0) {
       console.log('📋 Sample activation instructions:');
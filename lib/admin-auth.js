@@ -0,0 +1,108 @@
+import jwt from 'jsonwebtoken';
+import AdminUser from '../models/AdminUser.js';
+import { logger } from './logger.js';
+
+const SESSION_TTL = '8h';
+const SESSION_ISSUER = 'sorvide-admin';
+
+// What each role may do. Billing builds on support; owners can do everything.
+const SUPPORT_PERMISSIONS = ['licenses:read', 'licenses:resend', 'coupons:read'];
+const BILLING_PERMISSIONS = [...SUPPORT_PERMISSIONS, 'licenses:extend', 'billing:refund', 'coupons:manage', 'metrics:read'];
+
+const ROLE_PERMISSIONS = {
+  support: SUPPORT_PERMISSIONS,
+  billing: BILLING_PERMISSIONS,
+  owner: ['*']
+};
+
+export function hasPermission(role, permission) {
+  const permissions = ROLE_PERMISSIONS[role] || [];
+  return permissions.includes('*') || permissions.includes(permission);
+}
+
+function getSessionSecret() {
+  return process.env.ADMIN_JWT_SECRET || null;
+}
+
+// Sign an admin session token after a successful login
+export function issueAdminSession(adminUser) {
+  const secret = getSessionSecret();
+  if (!secret) {
+    throw new Error('ADMIN_JWT_SECRET is not set');
+  }
+  
+  return jwt.sign(
+    { email: adminUser.email, role: adminUser.role },
+    secret,
+    { subject: String(adminUser._id), issuer: SESSION_ISSUER, expiresIn: SESSION_TTL }
+  );
+}
+
+// Audit actor for every request made with the shared token
+const BREAK_GLASS_ACTOR = 'break-glass:token';
+
+// The shared ADMIN_TOKEN still works as a deprecated break-glass path
+// until ALLOW_ADMIN_TOKEN=false turns it off.
+function isBreakGlassAllowed() {
+  return process.env.ALLOW_ADMIN_TOKEN !== 'false' && !!process.env.ADMIN_TOKEN;
+}
+
+async function authenticate(req, res) {
+  const authHeader = req.headers.authorization || '';
+  
+  if (authHeader.startsWith('Bearer ')) {
+    const secret = getSessionSecret();
+    if (!secret) {
+      return null;
+    }
+    
+    let claims;
+    try {
+      claims = jwt.verify(authHeader.slice(7), secret, { issuer: SESSION_ISSUER });
+    } catch (err) {
+      return null;
+    }
+    
+    // Re-check the account so disabling an admin takes effect immediately
+    const adminUser = await AdminUser.findById(claims.sub);
+    if (!adminUser || !adminUser.isActive) {
+      return null;
+    }
+    return { id: String(adminUser._id), email: adminUser.email, role: adminUser.role };
+  }
+  
+  const adminToken = req.headers['x-admin-token'];
+  if (adminToken && isBreakGlassAllowed() && adminToken === process.env.ADMIN_TOKEN) {
+    // Anyone with the token can claim any name, so it is only kept as a
+    // detail next to the fixed token identity
+    const claimedActor = req.headers['x-admin-user'] || null;
+    logger.warn('Deprecated x-admin-token used', { claimedActor, method: req.method, path: req.originalUrl });
+    res.set('Deprecation', 'true');
+    return { id: null, email: BREAK_GLASS_ACTOR, role: 'owner', claimedActor };
+  }
+  
+  return null;
+}
+
+// Middleware requiring a signed-in admin with the given permission
+export function requireAdmin(permission) {
+  return async (req, res, next) => {
+    try {
+      const admin = await authenticate(req, res);
+      
+      if (!admin) {
+        return res.status(401).json({ error: 'Unauthorized', code: 'UNAUTHORIZED' });
+      }
+      
+      if (!hasPermission(admin.role, permission)) {
+        return res.status(403).json({ error: 'Forbidden', code: 'FORBIDDEN', requiredPermission: permission });
+      }
+      
+      req.admin = admin;
+      req.adminActor = admin.email;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
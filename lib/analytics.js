@@ -0,0 +1,266 @@
+import ValidationEvent from '../models/ValidationEvent.js';
+import License from '../models/License.js';
+import Team from '../models/Team.js';
+import { getPlan, monthlyListPrice } from './plans.js';
+import { logger } from './logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const INTERVALS = ['day', 'week', 'month'];
+
+// How far back each interval reaches when no range is given
+const DEFAULT_PERIODS = { day: 30, week: 12, month: 12 };
+
+// ==== Recording ====
+
+// Keep only the network part of an address: /16 for IPv4, /48 for IPv6
+function truncateIp(ip) {
+  if (!ip) {
+    return null;
+  }
+  const address = ip.replace(/^::ffff:/, '');
+  if (address.includes('.')) {
+    return `${address.split('.').slice(0, 2).join('.')}.0.0/16`;
+  }
+  return `${address.split(':').slice(0, 3).join(':')}::/48`;
+}
+
+function describeOutcome(type, body) {
+  if (type === 'device-lookup') {
+    return body.hasLicense ? 'valid' : 'not-found';
+  }
+  if (body.valid) {
+    return 'valid';
+  }
+  if (body.invalidFormat) {
+    return 'invalid-format';
+  }
+  if (body.expired) {
+    return 'expired';
+  }
+  if (body.deviceLimitReached) {
+    return 'device-limit';
+  }
+  return body.code === 'INVALID_LICENSE' ? 'invalid' : 'inactive';
+}
+
+// Middleware recording an event for every response of a validation or
+// device lookup route. Recording never delays or fails the request.
+export function trackValidations(type) {
+  return (req, res, next) => {
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      recordEvent(type, req, res.statusCode, body);
+      return json(body);
+    };
+    next();
+  };
+}
+
+function recordEvent(type, req, status, body) {
+  // Rate limited and failed requests aren't validations
+  if (status >= 400 || !body) {
+    return;
+  }
+  
+  const retentionDays = parseInt(process.env.ANALYTICS_RETENTION_DAYS || '180', 10);
+  const now = new Date();
+  
+  ValidationEvent.create({
+    type: type,
+    outcome: describeOutcome(type, body),
+    licenseKey: body.license?.key || (typeof req.body.licenseKey === 'string' ? req.body.licenseKey.trim().toUpperCase() : undefined),
+    plan: body.license?.plan,
+    deviceId: req.body.deviceId,
+    extensionVersion: req.body.extensionVersion || req.get('x-extension-version'),
+    country: req.get('cf-ipcountry') || req.get('x-country-code'),
+    ipPrefix: truncateIp(req.ip),
+    createdAt: now,
+    expiresAt: new Date(now.getTime() + retentionDays * DAY_MS)
+  }).catch(error => {
+    logger.error('Failed to record validation event', { error: error.message });
+  });
+}
+
+// ==== Reporting ====
+
+// Start of the period containing `date`, in UTC. Weeks start on Monday to
+// match $dateTrunc below.
+function periodStart(date, interval) {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (interval === 'week') {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  } else if (interval === 'month') {
+    start.setUTCDate(1);
+  }
+  return start;
+}
+
+function nextPeriod(date, interval) {
+  const next = new Date(date);
+  if (interval === 'day') {
+    next.setUTCDate(next.getUTCDate() + 1);
+  } else if (interval === 'week') {
+    next.setUTCDate(next.getUTCDate() + 7);
+  } else {
+    next.setUTCMonth(next.getUTCMonth() + 1);
+  }
+  return next;
+}
+
+// Resolve the interval and date range of a report query; returns
+// { error } for bad input
+export function parseRange({ interval = 'day', from, to } = {}) {
+  if (!INTERVALS.includes(interval)) {
+    return { error: `interval must be one of ${INTERVALS.join(', ')}` };
+  }
+  
+  const end = to ? new Date(to) : new Date();
+  let start;
+  if (from) {
+    start = new Date(from);
+  } else {
+    start = periodStart(end, interval);
+    for (let i = 1; i < DEFAULT_PERIODS[interval]; i++) {
+      start = periodStart(new Date(start.getTime() - 1), interval);
+    }
+  }
+  
+  if (isNaN(start.getTime()) || isNaN(end.getTime()) || start > end) {
+    return { error: 'from and to must be valid dates with from before to' };
+  }
+  if (end - start > 2 * 366 * DAY_MS) {
+    return { error: 'Date range can be at most two years' };
+  }
+  
+  return { interval, from: periodStart(start, interval), to: end };
+}
+
+// Every period in the range, so gaps show up as zeros
+function listPeriods({ interval, from, to }) {
+  const periods = [];
+  for (let start = from; start <= to; start = nextPeriod(start, interval)) {
+    periods.push(start);
+  }
+  return periods;
+}
+
+function dateTrunc(field, interval) {
+  return { $dateTrunc: { date: field, unit: interval, startOfWeek: 'monday', timezone: 'UTC' } };
+}
+
+// Validation and device lookup counts per period
+export async function getValidationVolume(range) {
+  const rows = await ValidationEvent.aggregate([
+    { $match: { createdAt: { $gte: range.from, $lte: range.to } } },
+    {
+      $group: {
+        _id: dateTrunc('$createdAt', range.interval),
+        validations: { $sum: { $cond: [{ $eq: ['$type', 'validate'] }, 1, 0] } },
+        deviceLookups: { $sum: { $cond: [{ $eq: ['$type', 'device-lookup'] }, 1, 0] } },
+        failed: { $sum: { $cond: [{ $eq: ['$outcome', 'valid'] }, 0, 1] } }
+      }
+    }
+  ]);
+  
+  return listPeriods(range).map(period => {
+    const row = rows.find(r => r._id.getTime() === period.getTime());
+    return {
+      period: period,
+      validations: row ? row.validations : 0,
+      deviceLookups: row ? row.deviceLookups : 0,
+      failed: row ? row.failed : 0
+    };
+  });
+}
+
+// Distinct licenses and devices with a successful check in each period,
+// i.e. daily, weekly or monthly active Pro users
+export async function getActiveLicenses(range) {
+  const rows = await ValidationEvent.aggregate([
+    { $match: { createdAt: { $gte: range.from, $lte: range.to }, outcome: 'valid' } },
+    {
+      $group: {
+        _id: dateTrunc('$createdAt', range.interval),
+        licenses: { $addToSet: '$licenseKey' },
+        devices: { $addToSet: '$deviceId' }
+      }
+    },
+    { $project: { activeLicenses: { $size: '$licenses' }, activeDevices: { $size: '$devices' } } }
+  ]);
+  
+  return listPeriods(range).map(period => {
+    const row = rows.find(r => r._id.getTime() === period.getTime());
+    return {
+      period: period,
+      activeLicenses: row ? row.activeLicenses : 0,
+      activeDevices: row ? row.activeDevices : 0
+    };
+  });
+}
+
+// New and churned subscriptions per period, with subscriptions active and
+// MRR at list price at the end of each period. Team subscriptions count
+// once, with MRR for every seat.
+export async function getSubscriptionMetrics(range) {
+  const [licenses, teams] = await Promise.all([
+    License.find({ stripeSubscriptionId: { $ne: null } }).select('plan createdAt canceledAt').lean(),
+    Team.find({ stripeSubscriptionId: { $ne: null } }).select('plan seats createdAt canceledAt').lean()
+  ]);
+  
+  const subscriptions = [
+    ...licenses.map(license => ({ ...license, seats: 1 })),
+    ...teams
+  ].map(sub => ({ ...sub, mrr: monthlyListPrice(getPlan(sub.plan)) * sub.seats }));
+  
+  const series = listPeriods(range).map(period => {
+    const end = nextPeriod(period, range.interval);
+    const isActiveAt = sub => sub.createdAt < end && (!sub.canceledAt || sub.canceledAt >= end);
+    const active = subscriptions.filter(isActiveAt);
+    
+    return {
+      period: period,
+      new: subscriptions.filter(sub => sub.createdAt >= period && sub.createdAt < end).length,
+      churned: subscriptions.filter(sub => sub.canceledAt && sub.canceledAt >= period && sub.canceledAt < end).length,
+      active: active.length,
+      mrrCents: active.reduce((sum, sub) => sum + sub.mrr, 0)
+    };
+  });
+  
+  for (const row of series) {
+    row.net = row.new - row.churned;
+  }
+  
+  return series;
+}
+
+// MRR right now, from subscriptions that are active and paid up
+export async function getCurrentMrr(now = new Date()) {
+  const paidUp = { isActive: true, stripeSubscriptionId: { $ne: null }, expiresAt: { $gt: now } };
+  const [licenses, teams] = await Promise.all([
+    License.aggregate([
+      { $match: { ...paidUp, billingStatus: { $in: ['active', 'past_due'] } } },
+      { $group: { _id: '$plan', subscriptions: { $sum: 1 }, seats: { $sum: 1 } } }
+    ]),
+    Team.aggregate([
+      { $match: paidUp },
+      { $group: { _id: '$plan', subscriptions: { $sum: 1 }, seats: { $sum: '$seats' } } }
+    ])
+  ]);
+  
+  const byPlan = {};
+  for (const row of [...licenses, ...teams]) {
+    const entry = byPlan[row._id] || { plan: row._id, subscriptions: 0, seats: 0, mrrCents: 0 };
+    entry.subscriptions += row.subscriptions;
+    entry.seats += row.seats;
+    entry.mrrCents += monthlyListPrice(getPlan(row._id)) * row.seats;
+    byPlan[row._id] = entry;
+  }
+  
+  const plans = Object.values(byPlan);
+  return {
+    mrrCents: plans.reduce((sum, entry) => sum + entry.mrrCents, 0),
+    subscriptions: plans.reduce((sum, entry) => sum + entry.subscriptions, 0),
+    byPlan: plans
+  };
+}
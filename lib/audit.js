@@ -0,0 +1,46 @@
+import AuditLog from '../models/AuditLog.js';
+import { logger } from './logger.js';
+
+// License fields worth recording in the audit trail
+const AUDITED_FIELDS = ['isActive', 'billingStatus', 'plan', 'expiresAt', 'notes', 'maxDevices', 'entitlementOverrides', 'customerEmail', 'customerName'];
+
+// Capture the audited fields of a license before changing it
+export function snapshotLicense(license) {
+  const snapshot = {};
+  for (const field of AUDITED_FIELDS) {
+    snapshot[field] = license[field] instanceof Date ? license[field].toISOString() : license[field];
+  }
+  snapshot.devices = license.devices.map(device => device.deviceId);
+  return snapshot;
+}
+
+// { field: { from, to } } for every field that differs between snapshots
+export function diffSnapshots(before, after) {
+  const changes = {};
+  for (const field of Object.keys(after)) {
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      changes[field] = { from: before[field] ?? null, to: after[field] ?? null };
+    }
+  }
+  return changes;
+}
+
+// Record an admin action. Failures are logged rather than thrown so a
+// completed change is never reported back as failed.
+export async function recordAudit(req, action, { licenseKey, changes, details } = {}) {
+  // The name given with the break-glass token is unverified
+  const claimedActor = req.admin?.claimedActor;
+  
+  try {
+    await AuditLog.create({
+      action,
+      licenseKey,
+      actor: req.adminActor || 'unknown',
+      changes,
+      details: claimedActor ? { ...details, claimedActor } : details,
+      ip: req.ip
+    });
+  } catch (error) {
+    logger.error('Failed to record audit entry', { action, error });
+  }
+}
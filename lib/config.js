@@ -0,0 +1,200 @@
+import crypto from 'crypto';
+
+// Checks the environment once at boot, after dotenv has run. Problems that
+// would make a deployment broken or unsafe stop the server in production;
+// elsewhere they are only warnings so development works with a partial .env.
+
+export class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n - ${problems.join('\n - ')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+const DEFAULT_BODY_LIMIT = '100kb';
+const MIN_SECRET_LENGTH = 32;
+
+const MAIL_TRANSPORTS = ['mailgun', 'smtp', 'file', 'console'];
+const LOG_LEVELS = ['error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly'];
+// Chrome extension IDs are 32 letters from a-p
+const EXTENSION_ID_PATTERN = /^[a-p]{32}$/;
+
+function splitList(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function isNonNegativeInt(value) {
+  return /^\d+$/.test(value);
+}
+
+function isUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (err) {
+    return false;
+  }
+}
+
+function isPrivateKey(value) {
+  try {
+    crypto.createPrivateKey(value.replace(/\\n/g, '\n'));
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// Every problem with the environment. `errors` are fatal in production,
+// `warnings` never are.
+export function validateEnv(env = process.env) {
+  const isProduction = env.NODE_ENV === 'production';
+  const errors = [];
+  const warnings = [];
+  
+  // Secrets the server can't run safely without
+  const required = ['STRIPE_SECRET_KEY', 'STRIPE_WEBHOOK_SECRET', 'MONGODB_URI', 'ADMIN_JWT_SECRET', 'LICENSE_TOKEN_PRIVATE_KEY'];
+  for (const name of required) {
+    if (!env[name]) {
+      errors.push(`${name} is not set`);
+    }
+  }
+  
+  if (env.STRIPE_SECRET_KEY && !/^(sk|rk)_(test|live)_/.test(env.STRIPE_SECRET_KEY)) {
+    errors.push('STRIPE_SECRET_KEY must be a Stripe secret or restricted key');
+  }
+  if (isProduction && env.STRIPE_SECRET_KEY?.startsWith('sk_test_')) {
+    warnings.push('STRIPE_SECRET_KEY is a test mode key');
+  }
+  if (env.STRIPE_WEBHOOK_SECRET && !env.STRIPE_WEBHOOK_SECRET.startsWith('whsec_')) {
+    errors.push('STRIPE_WEBHOOK_SECRET must be a webhook signing secret (whsec_...)');
+  }
+  if (env.MONGODB_URI && !/^mongodb(\+srv)?:\/\//.test(env.MONGODB_URI)) {
+    errors.push('MONGODB_URI must be a mongodb:// or mongodb+srv:// connection string');
+  }
+  if (env.ADMIN_JWT_SECRET && env.ADMIN_JWT_SECRET.length < MIN_SECRET_LENGTH) {
+    errors.push(`ADMIN_JWT_SECRET must be at least ${MIN_SECRET_LENGTH} characters`);
+  }
+  if (env.LICENSE_TOKEN_PRIVATE_KEY && !isPrivateKey(env.LICENSE_TOKEN_PRIVATE_KEY)) {
+    errors.push('LICENSE_TOKEN_PRIVATE_KEY is not a valid PEM private key');
+  }
+  
+  // The shared admin token is a deprecated break-glass path
+  if (env.ADMIN_TOKEN && env.ALLOW_ADMIN_TOKEN !== 'false') {
+    if (env.ADMIN_TOKEN.length < MIN_SECRET_LENGTH) {
+      errors.push(`ADMIN_TOKEN must be at least ${MIN_SECRET_LENGTH} characters, or set ALLOW_ADMIN_TOKEN=false`);
+    } else {
+      warnings.push('ADMIN_TOKEN is enabled; set ALLOW_ADMIN_TOKEN=false once every admin has an account');
+    }
+  }
+  
+  // CORS allow-list
+  const origins = splitList(env.CORS_ORIGINS);
+  if (origins.includes('*')) {
+    errors.push('CORS_ORIGINS cannot contain *; list each allowed origin');
+  }
+  for (const origin of origins.filter(origin => origin !== '*')) {
+    if (!origin.startsWith('chrome-extension://') && !isUrl(origin)) {
+      errors.push(`CORS_ORIGINS entry is not an origin: ${origin}`);
+    }
+  }
+  for (const id of splitList(env.CHROME_EXTENSION_IDS)) {
+    if (!EXTENSION_ID_PATTERN.test(id)) {
+      errors.push(`CHROME_EXTENSION_IDS entry is not an extension ID: ${id}`);
+    }
+  }
+  if (origins.length === 0 && !env.CHROME_EXTENSION_IDS) {
+    (isProduction ? errors : warnings).push('Neither CORS_ORIGINS nor CHROME_EXTENSION_IDS is set, so any origin is allowed');
+  }
+  
+  // Email delivery
+  const transport = env.MAIL_TRANSPORT || (env.MAILGUN_API_KEY ? 'mailgun' : 'console');
+  if (!MAIL_TRANSPORTS.includes(transport)) {
+    errors.push(`MAIL_TRANSPORT must be one of: ${MAIL_TRANSPORTS.join(', ')}`);
+  } else if (transport === 'mailgun' && (!env.MAILGUN_API_KEY || !env.MAILGUN_DOMAIN)) {
+    errors.push('MAILGUN_API_KEY and MAILGUN_DOMAIN are required for the mailgun transport');
+  } else if (transport === 'smtp' && !env.SMTP_HOST) {
+    errors.push('SMTP_HOST is required for the smtp transport');
+  } else if (isProduction && (transport === 'console' || transport === 'file')) {
+    errors.push(`Mail transport is ${transport}, so customers would never receive their emails`);
+  }
+  
+  const integers = [
+    'PORT', 'SMTP_PORT', 'OUTBOX_POLL_SECONDS', 'EXPIRY_GRACE_HOURS', 'DEVICE_TRANSFERS_PER_MONTH',
+    'ANALYTICS_RETENTION_DAYS', 'OFFLINE_GRACE_DAYS', 'LOCKOUT_THRESHOLD', 'LOCKOUT_BASE_SECONDS', 'LOCKOUT_MAX_SECONDS',
+    ...Object.keys(env).filter(name => /^RATE_LIMIT_.+_(MAX|WINDOW_SECONDS)$/.test(name))
+  ];
+  for (const name of integers) {
+    if (env[name] && !isNonNegativeInt(env[name])) {
+      errors.push(`${name} must be a whole number`);
+    }
+  }
+  
+  for (const name of ['EXPIRY_REMINDER_DAYS', 'DUNNING_SCHEDULE_DAYS']) {
+    if (env[name] && !splitList(env[name]).every(isNonNegativeInt)) {
+      errors.push(`${name} must be a comma separated list of day counts`);
+    }
+  }
+  
+  for (const name of ['SCHEDULER_ENABLED', 'ALLOW_ADMIN_TOKEN', 'SMTP_SECURE']) {
+    if (env[name] && !['true', 'false'].includes(env[name])) {
+      errors.push(`${name} must be true or false`);
+    }
+  }
+  
+  if (env.RATE_LIMIT_STORE && !['memory', 'mongo'].includes(env.RATE_LIMIT_STORE)) {
+    errors.push('RATE_LIMIT_STORE must be memory or mongo');
+  }
+  if (env.LOG_LEVEL && !LOG_LEVELS.includes(env.LOG_LEVEL)) {
+    errors.push(`LOG_LEVEL must be one of: ${LOG_LEVELS.join(', ')}`);
+  }
+  if (env.BODY_LIMIT && !/^\d+(b|kb|mb)$/i.test(env.BODY_LIMIT)) {
+    errors.push('BODY_LIMIT must be a size such as 100kb or 1mb');
+  }
+  
+  for (const name of ['FRONTEND_URL', 'TRIAL_CHECKOUT_URL', 'MANAGE_SUBSCRIPTION_URL']) {
+    if (!env[name]) {
+      continue;
+    }
+    if (!isUrl(env[name])) {
+      errors.push(`${name} must be an http(s) URL`);
+    } else if (isProduction && !env[name].startsWith('https://')) {
+      errors.push(`${name} must use https in production`);
+    }
+  }
+  
+  return { errors, warnings };
+}
+
+// Validate the environment and return the settings server.js needs.
+// Throws a ConfigError in production when anything is wrong; elsewhere
+// errors are returned as warnings.
+export function loadConfig(env = process.env) {
+  const isProduction = env.NODE_ENV === 'production';
+  const { errors, warnings } = validateEnv(env);
+  
+  if (isProduction && errors.length > 0) {
+    throw new ConfigError(errors);
+  }
+  
+  return {
+    isProduction: isProduction,
+    warnings: isProduction ? warnings : [...errors, ...warnings],
+    port: parseInt(env.PORT, 10) || 3000,
+    bodyLimit: env.BODY_LIMIT || DEFAULT_BODY_LIMIT,
+    corsOrigins: splitList(env.CORS_ORIGINS).filter(origin => origin !== '*'),
+    extensionIds: splitList(env.CHROME_EXTENSION_IDS)
+  };
+}
+
+// Whether a browser origin may call the API. Without any allow-list
+// (development only, see validateEnv) every origin is allowed.
+export function isAllowedOrigin(config, origin) {
+  if (config.corsOrigins.length === 0 && config.extensionIds.length === 0) {
+    return !config.isProduction;
+  }
+  if (config.corsOrigins.includes(origin)) {
+    return true;
+  }
+  return config.extensionIds.some(id => origin === `chrome-extension://${id}`);
+}
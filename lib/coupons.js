@@ -0,0 +1,192 @@
+import crypto from 'crypto';
+import Coupon from '../models/Coupon.js';
+import CouponRedemption from '../models/CouponRedemption.js';
+import License from '../models/License.js';
+import { getPlan } from './plans.js';
+import { saveWithUniqueKey } from './license-keys.js';
+
+// No 0/O or 1/I so codes survive being read aloud or retyped
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function generateCouponCode(length = 10) {
+  let code = '';
+  for (let i = 0; i < length; i++) {
+    code += CODE_ALPHABET.charAt(crypto.randomInt(CODE_ALPHABET.length));
+  }
+  return code;
+}
+
+export function normalizeCouponCode(input) {
+  if (typeof input !== 'string') {
+    return '';
+  }
+  return input.replace(/\s+/g, '').toUpperCase();
+}
+
+// Add the coupon's days to an existing license, counting from today if
+// it has already run out. Only a license that lapsed is switched back on;
+// redeemCoupon refuses ones turned off by an admin or a billing problem.
+function extendLicense(license, days, now) {
+  const from = license.expiresAt > now ? license.expiresAt : now;
+  license.expiresAt = new Date(from.getTime() + days * DAY_MS);
+  if (license.isLapsed()) {
+    license.isActive = true;
+  }
+}
+
+// Redeem a coupon for an email address. With a licenseKey the days are
+// added to that license, otherwise a new promotional license is issued.
+// Returns { error, code, ... } when the coupon can't be used.
+export async function redeemCoupon(code, { email, licenseKey, ip }, now = new Date()) {
+  const coupon = await Coupon.findOne({ code: code });
+  if (!coupon) {
+    return { error: 'Invalid coupon code', code: 'INVALID_COUPON', invalidCode: true };
+  }
+  
+  const unavailable = coupon.getUnavailableReason(now);
+  if (unavailable) {
+    return { error: unavailable, code: 'COUPON_UNAVAILABLE' };
+  }
+  
+  const alreadyRedeemed = { error: 'This code has already been redeemed with this email address', code: 'COUPON_ALREADY_REDEEMED', alreadyRedeemed: true };
+  if (await CouponRedemption.exists({ coupon: coupon._id, email: email })) {
+    return alreadyRedeemed;
+  }
+  
+  let license = null;
+  if (licenseKey) {
+    license = await License.findOne({ licenseKey: licenseKey });
+    // Someone else's key looks the same as an unknown one
+    if (!license || license.customerEmail?.toLowerCase() !== email) {
+      return { error: 'License not found', code: 'LICENSE_NOT_FOUND' };
+    }
+    if (!license.isActive && !license.isLapsed()) {
+      return { error: 'This license has been deactivated, please contact support', code: 'LICENSE_INACTIVE' };
+    }
+    if (license.plan === 'lifetime') {
+      return { error: 'Lifetime licenses never expire and cannot be extended', code: 'LICENSE_NOT_EXTENDABLE' };
+    }
+    // The subscription sets the expiry on every renewal, which would wipe out the days
+    if (license.stripeSubscriptionId || license.teamMembership?.team) {
+      return { error: 'Subscription licenses renew automatically and cannot be extended with a coupon', code: 'LICENSE_NOT_EXTENDABLE' };
+    }
+    if (license.isPendingActivation) {
+      return { error: 'Activate this license before extending it', code: 'LICENSE_NOT_ACTIVATED' };
+    }
+  }
+  
+  // Take a use atomically so the limit holds under concurrent redemptions
+  const claimed = await Coupon.findOneAndUpdate(
+    {
+      _id: coupon._id,
+      isActive: true,
+      $and: [
+        { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+        { $or: [{ maxRedemptions: null }, { $expr: { $lt: ['$redemptionCount', '$maxRedemptions'] } }] }
+      ]
+    },
+    { $inc: { redemptionCount: 1 } },
+    { new: true }
+  );
+  if (!claimed) {
+    return { error: 'This code has been fully redeemed', code: 'COUPON_UNAVAILABLE' };
+  }
+  
+  let redemption;
+  try {
+    redemption = await CouponRedemption.create({
+      coupon: coupon._id,
+      code: coupon.code,
+      campaign: coupon.campaign,
+      email: email,
+      days: coupon.days,
+      ip: ip,
+      redeemedAt: now
+    });
+  } catch (err) {
+    await Coupon.updateOne({ _id: coupon._id }, { $inc: { redemptionCount: -1 } });
+    if (err.code === 11000) {
+      return alreadyRedeemed;
+    }
+    throw err;
+  }
+  
+  const createdLicense = !license;
+  if (license) {
+    extendLicense(license, coupon.days, now);
+    await license.save();
+  } else {
+    const plan = getPlan('promo');
+    license = new License({
+      customerEmail: email,
+      customerName: email.split('@')[0],
+      plan: plan.id,
+      source: 'coupon',
+      notes: `Coupon ${coupon.code} (${coupon.campaign})`,
+      expiresAt: new Date(now.getTime() + coupon.days * DAY_MS),
+      isActive: true
+    });
+    await saveWithUniqueKey(license, plan.keyPrefix);
+  }
+  
+  redemption.licenseKey = license.licenseKey;
+  redemption.createdLicense = createdLicense;
+  await redemption.save();
+  
+  return { coupon: claimed, license, createdLicense };
+}
+
+// Redemption totals per campaign, optionally for a single campaign
+export async function getCampaignReports(campaign) {
+  const match = campaign ? { campaign: campaign } : {};
+  
+  const [coupons, redemptions] = await Promise.all([
+    Coupon.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$campaign',
+          coupons: { $sum: 1 },
+          activeCoupons: { $sum: { $cond: ['$isActive', 1, 0] } },
+          redemptionLimit: { $sum: { $ifNull: ['$maxRedemptions', 0] } },
+          unlimitedCoupons: { $sum: { $cond: [{ $ifNull: ['$maxRedemptions', false] }, 0, 1] } }
+        }
+      }
+    ]),
+    CouponRedemption.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$campaign',
+          redemptions: { $sum: 1 },
+          newLicenses: { $sum: { $cond: ['$createdLicense', 1, 0] } },
+          daysGranted: { $sum: '$days' },
+          emails: { $addToSet: '$email' },
+          firstRedeemedAt: { $min: '$redeemedAt' },
+          lastRedeemedAt: { $max: '$redeemedAt' }
+        }
+      }
+    ])
+  ]);
+  
+  return coupons
+    .map(group => {
+      const used = redemptions.find(r => r._id === group._id);
+      return {
+        campaign: group._id,
+        coupons: group.coupons,
+        activeCoupons: group.activeCoupons,
+        // null when any coupon in the campaign is unlimited
+        redemptionLimit: group.unlimitedCoupons > 0 ? null : group.redemptionLimit,
+        redemptions: used ? used.redemptions : 0,
+        newLicenses: used ? used.newLicenses : 0,
+        extendedLicenses: used ? used.redemptions - used.newLicenses : 0,
+        uniqueEmails: used ? used.emails.length : 0,
+        daysGranted: used ? used.daysGranted : 0,
+        firstRedeemedAt: used ? used.firstRedeemedAt : null,
+        lastRedeemedAt: used ? used.lastRedeemedAt : null
+      };
+    })
+    .sort((a, b) => a.campaign.localeCompare(b.campaign));
+}
@@ -0,0 +1,152 @@
+import DeviceBinding from '../models/DeviceBinding.js';
+import License from '../models/License.js';
+import { logger } from './logger.js';
+
+// Older entries are dropped once a device has used this many licenses
+const MAX_HISTORY = 50;
+
+function historyEntry(binding, reason, now) {
+  return {
+    $push: {
+      history: {
+        $each: [{ licenseKey: binding.licenseKey, boundAt: binding.boundAt, unboundAt: now, reason: reason }],
+        $slice: -MAX_HISTORY
+      }
+    }
+  };
+}
+
+// Free the seat a device held on a license it has moved away from
+async function releaseSeat(licenseKey, deviceId) {
+  const license = await License.findOne({ licenseKey: licenseKey });
+  if (!license) {
+    return;
+  }
+  
+  license.migrateLegacyDevice();
+  if (license.removeDevice(deviceId)) {
+    await license.save();
+    logger.info('Released device from previous license', { deviceId, licenseKey });
+  }
+}
+
+export function getDeviceBinding(deviceId) {
+  return DeviceBinding.findOne({ deviceId: deviceId });
+}
+
+// Point a device at a license once that license has given it a seat. If
+// the device was using a different license, that one is recorded in the
+// history and its seat released. Returns the previous license key, if any.
+export async function bindDevice(deviceId, licenseKey, { deviceName, reason = 'switched' } = {}, now = new Date()) {
+  for (let attempt = 1; attempt <= 3; attempt++) {
+    const binding = await DeviceBinding.findOne({ deviceId: deviceId });
+    
+    if (!binding) {
+      try {
+        await DeviceBinding.create({ deviceId, licenseKey, deviceName, boundAt: now, lastSeenAt: now });
+        return null;
+      } catch (err) {
+        // Another request bound this device first; go round again
+        if (err.code === 11000) {
+          continue;
+        }
+        throw err;
+      }
+    }
+    
+    if (binding.licenseKey === licenseKey) {
+      await DeviceBinding.updateOne({ _id: binding._id }, { $set: { lastSeenAt: now, deviceName: deviceName || binding.deviceName } });
+      return null;
+    }
+    
+    // Only switch from the binding we read, so concurrent switches can't
+    // both release the same seat
+    const update = {
+      $set: { licenseKey, deviceName: deviceName || binding.deviceName, boundAt: now, lastSeenAt: now },
+      ...(binding.licenseKey ? historyEntry(binding, reason, now) : {})
+    };
+    const switched = await DeviceBinding.findOneAndUpdate(
+      { _id: binding._id, licenseKey: binding.licenseKey ?? null },
+      update
+    );
+    if (!switched) {
+      continue;
+    }
+    
+    if (binding.licenseKey) {
+      await releaseSeat(binding.licenseKey, deviceId);
+    }
+    return binding.licenseKey || null;
+  }
+  
+  throw new Error(`Could not bind device ${deviceId} after repeated conflicts`);
+}
+
+// Remove a device's binding to a license, keeping it in the history.
+// Does nothing if the device is bound to another license.
+export async function unbindDevice(deviceId, licenseKey, reason, now = new Date()) {
+  const binding = await DeviceBinding.findOne({ deviceId: deviceId, licenseKey: licenseKey });
+  if (!binding) {
+    return false;
+  }
+  
+  const result = await DeviceBinding.updateOne(
+    { _id: binding._id, licenseKey: licenseKey },
+    { $unset: { licenseKey: 1, boundAt: 1 }, ...historyEntry(binding, reason, now) }
+  );
+  return result.modifiedCount > 0;
+}
+
+// Unbind every device bound to a license, e.g. when its devices are cleared
+export async function unbindLicense(licenseKey, reason, now = new Date()) {
+  const bindings = await DeviceBinding.find({ licenseKey: licenseKey });
+  for (const binding of bindings) {
+    await unbindDevice(binding.deviceId, licenseKey, reason, now);
+  }
+  return bindings.length;
+}
+
+// Create bindings for devices recorded on licenses, including legacy
+// single-device `License.deviceId` values. Devices that already have a
+// binding are left alone; where several licenses list one device, the most
+// recently validated license wins.
+export async function rebuildDeviceBindings() {
+  const report = { licenses: 0, created: 0, skipped: 0 };
+  const cursor = License.find({
+    $or: [{ deviceId: { $exists: true, $ne: null } }, { 'devices.0': { $exists: true } }]
+  }).sort({ lastValidated: -1 }).cursor();
+  
+  for await (const license of cursor) {
+    report.licenses++;
+    
+    const devices = license.devices.map(device => ({
+      deviceId: device.deviceId,
+      deviceName: device.deviceName,
+      boundAt: device.activatedAt,
+      lastSeenAt: device.lastSeenAt
+    }));
+    if (license.deviceId && !devices.some(device => device.deviceId === license.deviceId)) {
+      devices.push({
+        deviceId: license.deviceId,
+        deviceName: license.deviceName,
+        boundAt: license.activatedAt || license.createdAt,
+        lastSeenAt: license.lastValidated
+      });
+    }
+    
+    for (const device of devices) {
+      const result = await DeviceBinding.updateOne(
+        { deviceId: device.deviceId },
+        { $setOnInsert: { ...device, licenseKey: license.licenseKey } },
+        { upsert: true }
+      );
+      if (result.upsertedCount > 0) {
+        report.created++;
+      } else {
+        report.skipped++;
+      }
+    }
+  }
+  
+  return report;
+}
@@ -0,0 +1,104 @@
+import { partials } from './partials.js';
+import { layouts } from './layout.js';
+import { queueEmail } from './outbox.js';
+import licenseIssued from './templates/license-issued.js';
+import renewalReceipt from './templates/renewal-receipt.js';
+import expiryWarning from './templates/expiry-warning.js';
+import cancellationConfirmation from './templates/cancellation-confirmation.js';
+import paymentFailed from './templates/payment-failed.js';
+import deviceTransfer from './templates/device-transfer.js';
+import billingVerification from './templates/billing-verification.js';
+import trialEnded from './templates/trial-ended.js';
+import teamCreated from './templates/team-created.js';
+import teamInvite from './templates/team-invite.js';
+
+// Templates return a subject, header and a list of content blocks; each block
+// is rendered by the partial of the same type into both HTML and text.
+const TEMPLATES = Object.fromEntries([
+  licenseIssued,
+  renewalReceipt,
+  expiryWarning,
+  cancellationConfirmation,
+  paymentFailed,
+  deviceTransfer,
+  billingVerification,
+  trialEnded,
+  teamCreated,
+  teamInvite
+].map(template => [template.name, template]));
+
+// Values every template and the layout can rely on
+function commonData() {
+  const websiteUrl = process.env.FRONTEND_URL || 'https://sorvide.com';
+  return {
+    year: new Date().getFullYear(),
+    websiteUrl: websiteUrl,
+    supportEmail: process.env.SUPPORT_EMAIL || 'support@sorvide.com',
+    manageUrl: process.env.MANAGE_SUBSCRIPTION_URL || `${websiteUrl}/manage-subscription`
+  };
+}
+
+function renderBlocks(blocks, format) {
+  return blocks
+    .filter(Boolean)
+    .map(block => {
+      const partial = partials[block.type];
+      if (!partial) {
+        throw new Error(`Unknown email block type: ${block.type}`);
+      }
+      return partial[format](block);
+    })
+    .join(format === 'html' ? '\n' : '\n\n');
+}
+
+export function hasTemplate(name) {
+  return Object.prototype.hasOwnProperty.call(TEMPLATES, name);
+}
+
+// Render a named template to { subject, html, text }
+export function renderEmail(name, data = {}) {
+  if (!hasTemplate(name)) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+  
+  const template = TEMPLATES[name];
+  const common = commonData();
+  const content = template.render({ ...data, common });
+  const layout = layouts[template.layout || 'main'];
+  
+  return {
+    subject: content.subject,
+    html: layout.html({ ...content, body: renderBlocks(content.blocks, 'html'), common }),
+    text: layout.text({ ...content, body: renderBlocks(content.blocks, 'text'), common })
+  };
+}
+
+// Render a named template and queue it in the outbox.
+// Failed sends are retried in the background rather than lost.
+export async function sendTemplateEmail(to, name, data) {
+  const { subject, html, text } = renderEmail(name, data);
+  
+  return queueEmail({
+    to,
+    subject,
+    text,
+    html,
+    template: name
+  });
+}
+
+export function listTemplates() {
+  return Object.values(TEMPLATES).map(template => ({
+    name: template.name,
+    description: template.description,
+    sample: template.sample
+  }));
+}
+
+// Render a template with its sample data, optionally overridden
+export function renderSample(name, overrides = {}) {
+  if (!hasTemplate(name)) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+  return renderEmail(name, { ...TEMPLATES[name].sample, ...overrides });
+}
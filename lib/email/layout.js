@@ -0,0 +1,69 @@
+import { escapeHtml } from './partials.js';
+
+// The frame every email is rendered into: header banner, content, footer
+export const layouts = {
+  main: {
+    html: ({ title, subtitle, body, common }) => `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(title)}</title>
+</head>
+<body style="margin:0;padding:0;background:#f5f7fa;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;">
+  <center>
+    <table width="100%" cellpadding="0" cellspacing="0" border="0" bgcolor="#f5f7fa">
+      <tr>
+        <td align="center" style="padding:20px 0;">
+          <table width="650" cellpadding="0" cellspacing="0" border="0" bgcolor="#ffffff" style="max-width:650px;width:100%;border-radius:0;box-shadow:0 2px 8px rgba(0,0,0,0.1);">
+            <!-- HEADER -->
+            <tr>
+              <td bgcolor="#4a4fd8" style="padding:50px 30px;background:linear-gradient(135deg,#4a4fd8,#2a2d7d);color:#ffffff;text-align:center;">
+                <h1 style="margin:0 0 15px 0;font-size:32px;font-weight:700;">${escapeHtml(title)}</h1>
+                ${subtitle ? `<p style="margin:0;font-size:18px;opacity:0.95;">${escapeHtml(subtitle)}</p>` : ''}
+              </td>
+            </tr>
+            
+            <!-- MAIN CONTENT -->
+            <tr>
+              <td style="padding:40px 40px 30px 40px;">
+                ${body}
+              </td>
+            </tr>
+            
+            <!-- FOOTER -->
+            <tr>
+              <td style="padding:30px 40px;text-align:center;border-top:1px solid #e2e8f0;">
+                <div style="color:#718096;font-size:14px;margin:0 0 15px 0;">© ${common.year} Sorvide</div>
+                <div style="font-size:13px;">
+                  <a href="${escapeHtml(common.websiteUrl)}" style="color:#4a4fd8;text-decoration:none;margin:0 10px;">Website</a> | 
+                  <a href="mailto:${escapeHtml(common.supportEmail)}" style="color:#4a4fd8;text-decoration:none;margin:0 10px;">Support</a> | 
+                  <a href="${escapeHtml(common.manageUrl)}" style="color:#4a4fd8;text-decoration:none;margin:0 10px;">Manage Subscription</a>
+                </div>
+              </td>
+            </tr>
+          </table>
+        </td>
+      </tr>
+    </table>
+  </center>
+</body>
+</html>
+`,
+    text: ({ title, subtitle, body, common }) => `
+${'='.repeat(72)}
+    ${title.toUpperCase()}${subtitle ? `\n    ${subtitle}` : ''}
+${'='.repeat(72)}
+
+${body}
+
+${'='.repeat(72)}
+© ${common.year} Sorvide
+Website: ${common.websiteUrl}
+Support: ${common.supportEmail}
+Manage Subscription: ${common.manageUrl}
+${'='.repeat(72)}
+`
+  }
+};
@@ -0,0 +1,143 @@
+import OutboxMessage from '../../models/OutboxMessage.js';
+import { getTransport } from './transports.js';
+import { logger } from '../logger.js';
+
+const SEND_LOCK_MS = 2 * 60 * 1000;
+const BATCH_SIZE = 20;
+
+// 1m, 2m, 4m ... capped at 6h between attempts
+function backoffMs(attempts) {
+  return Math.min(60 * 1000 * 2 ** (attempts - 1), 6 * 60 * 60 * 1000);
+}
+
+function defaultFrom() {
+  const domain = process.env.MAILGUN_DOMAIN || 'email.sorvide.com';
+  const fromEmail = process.env.FROM_EMAIL || `noreply@${domain}`;
+  return `Sorvide Pro <${fromEmail}>`;
+}
+
+// Attempt delivery of a message this process has claimed
+async function deliver(message) {
+  const transport = getTransport();
+  message.attempts += 1;
+  message.transport = transport.name;
+  
+  try {
+    const result = await transport.send({
+      from: message.from,
+      to: message.to,
+      subject: message.subject,
+      text: message.text,
+      html: message.html
+    });
+    
+    message.status = 'sent';
+    message.sentAt = new Date();
+    message.providerMessageId = result.id;
+    message.lastError = undefined;
+    // The body can hold license keys and confirmation codes, so only the
+    // envelope is kept once it has been delivered
+    message.text = undefined;
+    message.html = undefined;
+    logger.info('Email sent', { messageId: message._id, template: message.template, to: message.to });
+  } catch (error) {
+    message.lastError = error.message;
+    if (message.attempts >= message.maxAttempts) {
+      message.status = 'failed';
+      logger.error('Giving up on email', { messageId: message._id, attempts: message.attempts, error: error.message });
+    } else {
+      message.status = 'pending';
+      message.nextAttemptAt = new Date(Date.now() + backoffMs(message.attempts));
+      logger.warn('Email failed, will retry', { messageId: message._id, attempts: message.attempts, nextAttemptAt: message.nextAttemptAt, error: error.message });
+    }
+  }
+  
+  message.lockedUntil = undefined;
+  await message.save();
+  return message;
+}
+
+// Store a message in the outbox and try to send it straight away.
+// Failed sends stay queued and are retried with backoff by the worker.
+export async function queueEmail({ to, subject, text, html, template, from = defaultFrom() }) {
+  const recipients = Array.isArray(to) ? to : [to];
+  
+  let message;
+  try {
+    message = await OutboxMessage.create({
+      to: recipients,
+      from,
+      subject,
+      text,
+      html,
+      template,
+      status: 'sending',
+      lockedUntil: new Date(Date.now() + SEND_LOCK_MS)
+    });
+  } catch (error) {
+    // Without the database, sending now beats not sending at all
+    logger.error('Could not store email in outbox, sending directly', { error: error.message });
+    const result = await getTransport().send({ from, to: recipients, subject, text, html });
+    return { status: 'sent', providerMessageId: result.id };
+  }
+  
+  return deliver(message);
+}
+
+// Claim one due message so only one instance sends it
+function claimNext(now) {
+  return OutboxMessage.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedUntil: { $lte: now } }
+      ]
+    },
+    { status: 'sending', lockedUntil: new Date(now.getTime() + SEND_LOCK_MS) },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+}
+
+// Send up to a batch of due messages
+export async function processOutbox() {
+  let processed = 0;
+  for (; processed < BATCH_SIZE; processed++) {
+    const message = await claimNext(new Date());
+    if (!message) {
+      break;
+    }
+    await deliver(message);
+  }
+  return processed;
+}
+
+// Re-send an undelivered message by hand, e.g. after fixing a bad address
+// or transport. Sent messages no longer have a body to send.
+export async function resendMessage(id) {
+  const message = await OutboxMessage.findOneAndUpdate(
+    { _id: id, status: { $in: ['failed', 'pending'] } },
+    {
+      status: 'sending',
+      lockedUntil: new Date(Date.now() + SEND_LOCK_MS),
+      attempts: 0
+    },
+    { new: true }
+  );
+  
+  return message ? deliver(message) : null;
+}
+
+let workerTimer = null;
+
+export function startOutboxWorker(intervalMs = 60 * 1000) {
+  if (workerTimer) {
+    return;
+  }
+  
+  workerTimer = setInterval(() => {
+    processOutbox().catch(error => {
+      logger.error('Outbox worker error', { error });
+    });
+  }, intervalMs);
+  workerTimer.unref();
+}
@@ -0,0 +1,129 @@
+// Building blocks shared by every email. Each partial renders one content
+// block to both HTML and plain text, so the two versions never drift apart.
+
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+const CARD_STYLE = 'background:#f8fafc;border:1px solid #e2e8f0;border-radius:8px;';
+
+export const partials = {
+  greeting: {
+    html: ({ name }) => `<p style="font-size:18px;color:#2d3748;margin:0 0 20px 0;font-weight:500;">Hi ${escapeHtml(name || 'there')},</p>`,
+    text: ({ name }) => `Hi ${name || 'there'},`
+  },
+  
+  paragraph: {
+    html: ({ text }) => `<p style="color:#4a5568;font-size:16px;line-height:1.6;margin:0 0 30px 0;">${escapeHtml(text)}</p>`,
+    text: ({ text }) => text
+  },
+  
+  heading: {
+    html: ({ text }) => `<h2 style="font-size:22px;color:#2d3748;margin:0 0 25px 0;padding-bottom:12px;border-bottom:2px solid #e2e8f0;font-weight:600;">${escapeHtml(text)}</h2>`,
+    text: ({ text }) => `${text.toUpperCase()}\n${'-'.repeat(text.length)}`
+  },
+  
+  licenseKey: {
+    html: ({ label = 'Your License Key', value }) => `
+<table width="100%" cellpadding="0" cellspacing="0" border="0" style="margin:0 0 16px 0;background:#f8fafc;border:2px solid #e2e8f0;border-radius:8px;">
+  <tr>
+    <td style="padding:30px;text-align:center;">
+      <div style="font-size:14px;color:#718096;text-transform:uppercase;letter-spacing:1px;margin:0 0 20px 0;font-weight:600;">${escapeHtml(label)}</div>
+      <div style="font-family:'SF Mono',Monaco,'Courier New',monospace;font-size:22px;font-weight:700;color:#2d3748;background:#ffffff;padding:20px;border-radius:6px;border:2px solid #e2e8f0;word-break:break-all;letter-spacing:0.5px;">${escapeHtml(value)}</div>
+    </td>
+  </tr>
+</table>`,
+    text: ({ label = 'Your License Key', value }) => `${'='.repeat(72)}\n    ${label.toUpperCase()}\n    ${value}\n${'='.repeat(72)}`
+  },
+  
+  code: {
+    html: ({ value }) => `<div style="font-family:'SF Mono',Monaco,'Courier New',monospace;font-size:32px;font-weight:700;color:#2d3748;background:#f8fafc;padding:20px;border-radius:6px;border:2px solid #e2e8f0;text-align:center;letter-spacing:8px;margin:0 0 30px 0;">${escapeHtml(value)}</div>`,
+    text: ({ value }) => `    ${value}`
+  },
+  
+  steps: {
+    html: ({ steps }) => steps.map((step, index) => `
+<table width="100%" cellpadding="0" cellspacing="0" border="0" style="margin:0 0 ${index === steps.length - 1 ? 40 : 20}px 0;${CARD_STYLE}">
+  <tr>
+    <td style="padding:20px;">
+      <div style="display:inline-block;width:32px;height:32px;background:#4a4fd8;color:#ffffff;border-radius:6px;font-size:16px;font-weight:700;text-align:center;line-height:32px;margin-right:15px;vertical-align:top;">${index + 1}</div>
+      <div style="display:inline-block;width:calc(100% - 55px);">
+        <div style="font-size:16px;color:#2d3748;margin:0 0 5px 0;font-weight:600;">${escapeHtml(step.title)}</div>
+        <div style="color:#718096;font-size:14px;line-height:1.5;margin:0;">${escapeHtml(step.text)}</div>
+      </div>
+    </td>
+  </tr>
+</table>`).join(''),
+    text: ({ steps }) => steps.map((step, index) => `${index + 1}. ${step.title}\n   ${step.text}`).join('\n\n')
+  },
+  
+  // Label/value pairs laid out two per row
+  details: {
+    html: ({ items }) => {
+      const rows = [];
+      for (let i = 0; i < items.length; i += 2) {
+        rows.push(items.slice(i, i + 2));
+      }
+      return rows.map((row, index) => `
+<table width="100%" cellpadding="0" cellspacing="0" border="0" style="margin:0 0 ${index === rows.length - 1 ? 30 : 20}px 0;">
+  <tr>${row.map((item, column) => `
+    <td width="50%" style="padding-${column === 0 ? 'right' : 'left'}:10px;vertical-align:top;">
+      <table width="100%" cellpadding="0" cellspacing="0" border="0" style="${CARD_STYLE}">
+        <tr>
+          <td style="padding:20px;">
+            <div style="font-size:12px;color:#718096;text-transform:uppercase;letter-spacing:0.5px;margin:0 0 8px 0;font-weight:600;">${escapeHtml(item.label)}</div>
+            <div style="font-size:16px;color:#2d3748;font-weight:600;">${escapeHtml(item.value)}</div>
+          </td>
+        </tr>
+      </table>
+    </td>`).join('')}
+  </tr>
+</table>`).join('');
+    },
+    text: ({ items }) => items.map(item => `• ${item.label}: ${item.value}`).join('\n')
+  },
+  
+  card: {
+    html: ({ title, text }) => `
+<table width="100%" cellpadding="0" cellspacing="0" border="0" style="margin:0 0 40px 0;${CARD_STYLE}">
+  <tr>
+    <td style="padding:20px;">
+      <div style="font-size:16px;color:#2d3748;margin:0 0 12px 0;font-weight:600;">${escapeHtml(title)}</div>
+      <div style="color:#4a5568;font-size:14px;line-height:1.6;margin:0;">${escapeHtml(text)}</div>
+    </td>
+  </tr>
+</table>`,
+    text: ({ title, text }) => `${title}\n${text}`
+  },
+  
+  button: {
+    html: ({ label, url }) => `
+<table width="100%" cellpadding="0" cellspacing="0" border="0" style="margin:0 0 30px 0;">
+  <tr>
+    <td align="center">
+      <a href="${escapeHtml(url)}" style="display:inline-block;background:#4a4fd8;color:#ffffff;font-size:16px;font-weight:600;text-decoration:none;padding:14px 28px;border-radius:6px;">${escapeHtml(label)}</a>
+    </td>
+  </tr>
+</table>`,
+    text: ({ label, url }) => `${label}: ${url}`
+  },
+  
+  note: {
+    html: ({ text }) => `<p style="color:#718096;font-size:14px;line-height:1.6;text-align:center;margin:0 0 40px 0;">${escapeHtml(text)}</p>`,
+    text: ({ text }) => text
+  }
+};
+
+// e.g. "January 5, 2027"
+export function formatDate(value) {
+  return new Date(value).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
+  });
+}
@@ -0,0 +1,19 @@
+export default {
+  name: 'billing-verification',
+  description: 'Verification code for opening the billing portal',
+  sample: {
+    customerName: 'Alex',
+    code: '159026'
+  },
+  render: ({ customerName, code }) => ({
+    subject: 'Your Sorvide Pro billing verification code',
+    title: 'Manage Your Subscription',
+    subtitle: null,
+    blocks: [
+      { type: 'greeting', name: customerName },
+      { type: 'paragraph', text: 'Enter this code to manage your Sorvide Pro subscription, payment method and invoices:' },
+      { type: 'code', value: code },
+      { type: 'note', text: 'The code expires in 15 minutes. If you did not request this, you can safely ignore this email.' }
+    ]
+  })
+};
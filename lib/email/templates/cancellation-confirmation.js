@@ -0,0 +1,41 @@
+import { DEFAULT_PLAN, getPlan } from '../../plans.js';
+import { formatDate } from '../partials.js';
+
+export default {
+  name: 'cancellation-confirmation',
+  description: 'Confirms a subscription cancellation and when access ends',
+  sample: {
+    customerName: 'Alex',
+    licenseKey: 'MONTH-SORV-7Q2M-K9XD-4HTB-W8NC-R3PA',
+    plan: 'monthly',
+    expiresAt: '2026-11-19T00:00:00.000Z'
+  },
+  render: ({ customerName, licenseKey, plan: planId, expiresAt, common }) => {
+    const plan = getPlan(planId) || getPlan(DEFAULT_PLAN);
+    const accessEnded = new Date(expiresAt) <= new Date();
+    
+    return {
+      subject: 'Your Sorvide Pro subscription has been cancelled',
+      title: 'Subscription Cancelled',
+      subtitle: `Your ${plan.name} subscription will not renew`,
+      blocks: [
+        { type: 'greeting', name: customerName },
+        {
+          type: 'paragraph',
+          text: accessEnded
+            ? 'Your Sorvide Pro subscription has been cancelled and Pro features are no longer active. You will not be charged again.'
+            : `Your Sorvide Pro subscription has been cancelled. You will not be charged again, and Pro features stay active until ${formatDate(expiresAt)}.`
+        },
+        {
+          type: 'details',
+          items: [
+            { label: 'License Key', value: licenseKey },
+            { label: 'Access Until', value: formatDate(expiresAt) }
+          ]
+        },
+        { type: 'paragraph', text: 'Changed your mind? You can resume your subscription from the billing portal before it ends.' },
+        { type: 'button', label: 'Manage Subscription', url: common.manageUrl }
+      ]
+    };
+  }
+};
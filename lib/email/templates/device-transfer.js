@@ -0,0 +1,20 @@
+export default {
+  name: 'device-transfer',
+  description: 'Confirmation code for moving a license to a new device',
+  sample: {
+    customerName: 'Alex',
+    code: '482913',
+    deviceName: 'Chrome on MacBook Pro'
+  },
+  render: ({ customerName, code, deviceName }) => ({
+    subject: 'Confirm your Sorvide Pro device transfer',
+    title: 'Confirm Your Device Transfer',
+    subtitle: null,
+    blocks: [
+      { type: 'greeting', name: customerName },
+      { type: 'paragraph', text: `Someone asked to move your Sorvide Pro license to ${deviceName || 'a new device'}. Enter this code in the extension to confirm the transfer:` },
+      { type: 'code', value: code },
+      { type: 'note', text: 'The code expires in 15 minutes. If you did not request this, you can ignore this email and your license will stay where it is.' }
+    ]
+  })
+};
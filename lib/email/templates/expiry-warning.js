@@ -0,0 +1,31 @@
+import { DEFAULT_PLAN, getPlan } from '../../plans.js';
+import { formatDate } from '../partials.js';
+
+export default {
+  name: 'expiry-warning',
+  description: 'Reminder that a license which will not renew is about to expire',
+  sample: {
+    customerName: 'Alex',
+    licenseKey: 'YEAR-SORV-7Q2M-K9XD-4HTB-W8NC-R3PA',
+    plan: 'yearly',
+    expiresAt: '2026-11-02T00:00:00.000Z',
+    daysLeft: 14
+  },
+  render: ({ customerName, licenseKey, plan: planId, expiresAt, daysLeft, renewUrl, common }) => {
+    const plan = getPlan(planId) || getPlan(DEFAULT_PLAN);
+    const when = daysLeft <= 1 ? 'tomorrow' : `in ${daysLeft} days`;
+    
+    return {
+      subject: `Your Sorvide Pro license expires ${when}`,
+      title: 'Your Sorvide Pro License Is Expiring',
+      subtitle: `Pro features turn off ${when}`,
+      blocks: [
+        { type: 'greeting', name: customerName },
+        { type: 'paragraph', text: `Your ${plan.name} license will expire on ${formatDate(expiresAt)} and is not set to renew. Renew now to keep Pro features without interruption.` },
+        { type: 'licenseKey', value: licenseKey },
+        { type: 'button', label: 'Renew Sorvide Pro', url: renewUrl || common.websiteUrl },
+        { type: 'note', text: 'If you have already renewed, you can ignore this email.' }
+      ]
+    };
+  }
+};
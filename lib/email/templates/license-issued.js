@@ -0,0 +1,53 @@
+import { DEFAULT_PLAN, getPlan, formatPlanPrice } from '../../plans.js';
+
+// Also used by the team invite email
+export const ACTIVATION_STEPS = [
+  { title: 'Open the Sorvide Chrome Extension', text: 'Click the Sorvide icon in your browser toolbar to open the extension' },
+  { title: 'Click "Activate Pro"', text: 'Find and click the "Activate Pro" button in the bottom status bar of the extension' },
+  { title: 'Enter Your License Key', text: 'Copy and paste the license key from above into the activation dialog' },
+  { title: 'Click "Activate License"', text: 'Your Pro features will be activated immediately after clicking this button' }
+];
+
+export default {
+  name: 'license-issued',
+  description: 'Sent with a new license key after checkout or when support creates one',
+  sample: {
+    customerName: 'Alex',
+    licenseKey: 'MONTH-SORV-7Q2M-K9XD-4HTB-W8NC-R3PA',
+    plan: 'monthly',
+    amount: 999,
+    currency: 'usd'
+  },
+  render: ({ customerName, licenseKey, plan: planId, amount, currency, common }) => {
+    const plan = getPlan(planId) || getPlan(DEFAULT_PLAN);
+    const isSubscription = plan.checkoutMode === 'subscription';
+    
+    return {
+      subject: 'Your Sorvide Pro License Key & Activation Instructions',
+      title: 'Welcome to Sorvide Pro',
+      subtitle: plan.headline,
+      blocks: [
+        { type: 'greeting', name: customerName },
+        { type: 'paragraph', text: `Thank you for ${plan.purchaseVerb} Sorvide Pro. Your license key is ready and all Pro features are ready to be unlocked.` },
+        { type: 'licenseKey', value: licenseKey },
+        { type: 'heading', text: 'How to Activate Pro Features' },
+        { type: 'steps', steps: ACTIVATION_STEPS },
+        { type: 'heading', text: 'Purchase Details' },
+        {
+          type: 'details',
+          items: [
+            { label: 'Subscription Plan', value: plan.name },
+            { label: plan.priceLabel, value: formatPlanPrice(plan, amount, currency) },
+            { label: 'Billing Cycle', value: plan.billingCycle },
+            { label: 'License Duration', value: plan.durationLabel }
+          ]
+        },
+        { type: 'note', text: 'This email serves as your purchase confirmation and license activation receipt. Please save it for your records.' },
+        { type: 'heading', text: 'Subscription Management' },
+        isSubscription
+          ? { type: 'card', title: 'Subscription Cancellations', text: `You can cancel your Sorvide Pro subscription, update your payment method and download invoices at any time from the billing portal. Open ${common.manageUrl} (or click "Manage Subscription" in the extension), enter your license key and confirm the code we email you. Cancellations take effect at the end of your current billing period.` }
+          : { type: 'card', title: 'One-Time Purchase', text: `Your Sorvide Pro license is a one-time purchase and will never renew or charge you again. For questions about your license, please contact ${common.supportEmail}.` }
+      ]
+    };
+  }
+};
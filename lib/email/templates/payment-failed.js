@@ -0,0 +1,36 @@
+import { DEFAULT_PLAN, getPlan, formatPlanPrice } from '../../plans.js';
+import { formatDate } from '../partials.js';
+
+export default {
+  name: 'payment-failed',
+  description: 'Sent when a renewal payment fails so the customer can update their card',
+  sample: {
+    customerName: 'Alex',
+    licenseKey: 'MONTH-SORV-7Q2M-K9XD-4HTB-W8NC-R3PA',
+    plan: 'monthly',
+    amount: 999,
+    currency: 'usd',
+    nextAttemptAt: '2026-10-22T00:00:00.000Z'
+  },
+  render: ({ customerName, licenseKey, plan: planId, amount, currency, nextAttemptAt, common }) => {
+    const plan = getPlan(planId) || getPlan(DEFAULT_PLAN);
+    
+    return {
+      subject: 'Action needed: your Sorvide Pro payment failed',
+      title: 'We Couldn\'t Process Your Payment',
+      subtitle: 'Update your payment method to keep Sorvide Pro',
+      blocks: [
+        { type: 'greeting', name: customerName },
+        {
+          type: 'paragraph',
+          text: nextAttemptAt
+            ? `We tried to charge ${formatPlanPrice(plan, amount, currency)} for your ${plan.name} subscription but the payment didn't go through. We'll try again on ${formatDate(nextAttemptAt)}.`
+            : `We tried to charge ${formatPlanPrice(plan, amount, currency)} for your ${plan.name} subscription but the payment didn't go through.`
+        },
+        { type: 'paragraph', text: 'Please update your payment method in the billing portal to avoid losing access to Pro features.' },
+        { type: 'button', label: 'Update Payment Method', url: common.manageUrl },
+        { type: 'details', items: [{ label: 'License Key', value: licenseKey }, { label: 'Plan', value: plan.name }] }
+      ]
+    };
+  }
+};
@@ -0,0 +1,40 @@
+import { DEFAULT_PLAN, getPlan, formatPlanPrice } from '../../plans.js';
+import { formatDate } from '../partials.js';
+
+export default {
+  name: 'renewal-receipt',
+  description: 'Sent when a subscription renews and the license is extended',
+  sample: {
+    customerName: 'Alex',
+    licenseKey: 'MONTH-SORV-7Q2M-K9XD-4HTB-W8NC-R3PA',
+    plan: 'monthly',
+    amount: 999,
+    currency: 'usd',
+    expiresAt: '2027-01-19T00:00:00.000Z',
+    invoiceUrl: 'https://invoice.stripe.com/i/sample'
+  },
+  render: ({ customerName, licenseKey, plan: planId, amount, currency, expiresAt, invoiceUrl }) => {
+    const plan = getPlan(planId) || getPlan(DEFAULT_PLAN);
+    
+    return {
+      subject: 'Your Sorvide Pro subscription has renewed',
+      title: 'Thanks for Staying with Sorvide Pro',
+      subtitle: 'Your subscription has renewed',
+      blocks: [
+        { type: 'greeting', name: customerName },
+        { type: 'paragraph', text: `We've received your payment and extended your license. There's nothing you need to do, Pro features stay unlocked on your devices.` },
+        {
+          type: 'details',
+          items: [
+            { label: 'Subscription Plan', value: plan.name },
+            { label: 'Amount Paid', value: formatPlanPrice(plan, amount, currency) },
+            { label: 'License Key', value: licenseKey },
+            { label: 'Renewed Through', value: formatDate(expiresAt) }
+          ]
+        },
+        invoiceUrl && { type: 'button', label: 'View Invoice', url: invoiceUrl },
+        { type: 'note', text: 'This email serves as your renewal receipt. Please save it for your records.' }
+      ]
+    };
+  }
+};
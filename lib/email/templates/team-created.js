@@ -0,0 +1,40 @@
+import { DEFAULT_PLAN, getPlan, formatPlanPrice } from '../../plans.js';
+
+export default {
+  name: 'team-created',
+  description: 'Sent to the buyer of a team plan with the key used to manage seats',
+  sample: {
+    ownerName: 'Alex',
+    teamName: 'Acme Research',
+    teamKey: 'TEAM-SORV-7Q2M-K9XD-4HTB-W8NC-R3PA',
+    plan: 'yearly',
+    seats: 15,
+    amount: 149850,
+    currency: 'usd'
+  },
+  render: ({ ownerName, teamName, teamKey, plan: planId, seats, amount, currency, common }) => {
+    const plan = getPlan(planId) || getPlan(DEFAULT_PLAN);
+    
+    return {
+      subject: 'Your Sorvide Pro team is ready',
+      title: 'Your Sorvide Pro Team Is Ready',
+      subtitle: `${seats} seats on ${plan.name}`,
+      blocks: [
+        { type: 'greeting', name: ownerName },
+        { type: 'paragraph', text: `Thank you for ${plan.purchaseVerb} Sorvide Pro for ${teamName || 'your team'}. Use the team key below to invite members by email; each member receives their own license key.` },
+        { type: 'licenseKey', label: 'Your Team Key', value: teamKey },
+        { type: 'button', label: 'Manage Your Team', url: `${common.websiteUrl}/team` },
+        {
+          type: 'details',
+          items: [
+            { label: 'Plan', value: plan.name },
+            { label: 'Seats', value: String(seats) },
+            { label: 'Total Price', value: formatPlanPrice(plan, amount, currency) },
+            { label: 'Billing Cycle', value: plan.billingCycle }
+          ]
+        },
+        { type: 'note', text: 'Keep the team key private: anyone with it can invite and remove members. Change the number of seats from the billing portal and your team updates automatically.' }
+      ]
+    };
+  }
+};
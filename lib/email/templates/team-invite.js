@@ -0,0 +1,25 @@
+import { ACTIVATION_STEPS } from './license-issued.js';
+
+export default {
+  name: 'team-invite',
+  description: 'Sent to a team member with the license key for their seat',
+  sample: {
+    customerName: 'Sam',
+    teamName: 'Acme Research',
+    ownerName: 'Alex',
+    licenseKey: 'YEAR-SORV-7Q2M-K9XD-4HTB-W8NC-R3PA'
+  },
+  render: ({ customerName, teamName, ownerName, licenseKey }) => ({
+    subject: `You've been given a Sorvide Pro seat${teamName ? ` on ${teamName}` : ''}`,
+    title: 'Welcome to Sorvide Pro',
+    subtitle: teamName ? `Your seat on ${teamName} is ready` : 'Your team seat is ready',
+    blocks: [
+      { type: 'greeting', name: customerName },
+      { type: 'paragraph', text: `${ownerName || 'Your team owner'} has given you a Sorvide Pro seat. Your license key is below and is covered by your team's subscription, so there is nothing to pay.` },
+      { type: 'licenseKey', value: licenseKey },
+      { type: 'heading', text: 'How to Activate Pro Features' },
+      { type: 'steps', steps: ACTIVATION_STEPS },
+      { type: 'note', text: 'This key is managed by your team owner. Contact them if you lose access or leave the team.' }
+    ]
+  })
+};
@@ -0,0 +1,26 @@
+import { formatDate } from '../partials.js';
+
+export default {
+  name: 'trial-ended',
+  description: 'Sent when a free trial runs out, with a link to buy Pro',
+  sample: {
+    customerName: 'Alex',
+    licenseKey: 'TRIAL-SORV-7Q2M-K9XD-4HTB-W8NC-R3PA',
+    expiresAt: '2026-10-19T00:00:00.000Z',
+    checkoutUrl: 'https://sorvide.com/pricing'
+  },
+  render: ({ customerName, licenseKey, expiresAt, checkoutUrl, common }) => {
+    return {
+      subject: 'Your Sorvide Pro trial has ended',
+      title: 'Your Free Trial Has Ended',
+      subtitle: 'Upgrade to keep Pro features',
+      blocks: [
+        { type: 'greeting', name: customerName },
+        { type: 'paragraph', text: `Your free Sorvide Pro trial ended on ${formatDate(expiresAt)}. We hope you enjoyed the Pro features!` },
+        { type: 'paragraph', text: 'If you upgrade using this email address, the trial key below becomes a full Pro license, so there is nothing new to enter in the extension.' },
+        { type: 'button', label: 'Upgrade to Sorvide Pro', url: checkoutUrl || `${common.websiteUrl}/pricing` },
+        { type: 'licenseKey', value: licenseKey }
+      ]
+    };
+  }
+};
@@ -0,0 +1,107 @@
+import fs from 'fs/promises';
+import path from 'path';
+import Mailgun from 'mailgun.js';
+import formData from 'form-data';
+import nodemailer from 'nodemailer';
+import { logger } from '../logger.js';
+
+// Every transport takes { from, to, subject, text, html } and resolves to
+// { id } once the provider has accepted the message.
+
+function createMailgunTransport() {
+  const domain = process.env.MAILGUN_DOMAIN || 'email.sorvide.com';
+  const mailgun = new Mailgun(formData);
+  const mg = mailgun.client({
+    username: 'api',
+    key: process.env.MAILGUN_API_KEY
+  });
+  
+  return {
+    name: 'mailgun',
+    async send(message) {
+      const result = await mg.messages.create(domain, message);
+      return { id: result.id };
+    }
+  };
+}
+
+function createSmtpTransport() {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT || '587', 10),
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    } : undefined
+  });
+  
+  return {
+    name: 'smtp',
+    async send(message) {
+      const info = await transporter.sendMail({ ...message, to: message.to.join(', ') });
+      return { id: info.messageId };
+    }
+  };
+}
+
+// Development: write each message to MAIL_FILE_DIR as .html, .txt and .json
+function createFileTransport() {
+  const dir = process.env.MAIL_FILE_DIR || path.join(process.cwd(), 'mail-outbox');
+  
+  return {
+    name: 'file',
+    async send(message) {
+      await fs.mkdir(dir, { recursive: true });
+      const id = `${Date.now()}-${message.subject.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}`;
+      await fs.writeFile(path.join(dir, `${id}.json`), JSON.stringify({ ...message, html: undefined, text: undefined }, null, 2));
+      if (message.html) {
+        await fs.writeFile(path.join(dir, `${id}.html`), message.html);
+      }
+      if (message.text) {
+        await fs.writeFile(path.join(dir, `${id}.txt`), message.text);
+      }
+      logger.info('Email written to file', { path: `${path.join(dir, id)}.*` });
+      return { id };
+    }
+  };
+}
+
+// Development: print the plain-text version to the console. This is the
+// delivery itself rather than a log line, so it bypasses the logger and
+// its redaction.
+function createConsoleTransport() {
+  return {
+    name: 'console',
+    async send(message) {
+      console.log(`📧 [console transport] To: ${message.to.join(', ')} | Subject: ${message.subject}\n${message.text || ''}`);
+      return { id: `console-${Date.now()}` };
+    }
+  };
+}
+
+const TRANSPORT_FACTORIES = {
+  mailgun: createMailgunTransport,
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport
+};
+
+let transport = null;
+
+// MAIL_TRANSPORT picks the transport; without it Mailgun is used when
+// configured and the console otherwise.
+export function getTransport() {
+  if (transport) {
+    return transport;
+  }
+  
+  const name = process.env.MAIL_TRANSPORT || (process.env.MAILGUN_API_KEY ? 'mailgun' : 'console');
+  const factory = TRANSPORT_FACTORIES[name];
+  if (!factory) {
+    throw new Error(`Unknown MAIL_TRANSPORT: ${name}`);
+  }
+  
+  transport = factory();
+  return transport;
+}
@@ -0,0 +1,46 @@
+import { logger } from './logger.js';
+
+// Every error response carries a stable `code` (e.g. LICENSE_EXPIRED,
+// DEVICE_LIMIT) for clients to branch on and localize. The English `error`
+// message and route-specific flags stay for older extension versions.
+
+export class ApiError extends Error {
+  constructor(status, code, message, fields = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.fields = fields;
+  }
+}
+
+// Unknown API routes
+export function notFoundHandler(req, res) {
+  res.status(404).json({ error: 'Not found', code: 'NOT_FOUND' });
+}
+
+// Registered after every route. Routes pass ApiErrors and unexpected
+// failures here with next(error); the body starts from req.errorShape
+// (e.g. { valid: false }) so each route keeps its familiar response shape.
+export function errorHandler(err, req, res, next) {
+  if (res.headersSent) {
+    return next(err);
+  }
+  
+  const shape = req.errorShape || {};
+  
+  if (err instanceof ApiError) {
+    return res.status(err.status).json({ ...shape, error: err.message, code: err.code, ...err.fields });
+  }
+  
+  // Rejected by the body parsers before reaching a route
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ ...shape, error: 'Request body is not valid JSON', code: 'INVALID_JSON' });
+  }
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({ ...shape, error: 'Request body is too large', code: 'PAYLOAD_TOO_LARGE' });
+  }
+  
+  logger.error('Request failed', { method: req.method, path: req.originalUrl, error: err });
+  res.status(500).json({ ...shape, error: 'Internal server error', code: 'INTERNAL_ERROR' });
+}
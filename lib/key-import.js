@@ -0,0 +1,82 @@
+import License from '../models/License.js';
+import { getPlan } from './plans.js';
+import { normalizeLicenseKey, isWellFormedLicenseKey } from './license-keys.js';
+
+// Check a single entry from a generated-keys.json batch
+function validateEntry(entry) {
+  if (!entry || typeof entry.key !== 'string') {
+    return 'Missing key';
+  }
+  if (!isWellFormedLicenseKey(normalizeLicenseKey(entry.key))) {
+    return 'Invalid key format';
+  }
+  if (!getPlan(entry.type)) {
+    return `Unknown license type: ${entry.type}`;
+  }
+  return null;
+}
+
+// Import keys produced by LicenseKeyGenerator into the License collection.
+// Keys stay unactivated until their first validation, so the generated
+// expiresAt is ignored and the expiry clock starts at activation instead.
+export async function importGeneratedKeys(keys) {
+  const report = {
+    total: keys.length,
+    imported: [],
+    skipped: [],
+    failed: []
+  };
+  
+  const seen = new Set();
+  
+  for (const rawEntry of keys) {
+    const error = validateEntry(rawEntry);
+    if (error) {
+      report.failed.push({ key: rawEntry?.key || null, reason: error });
+      continue;
+    }
+    
+    const entry = { ...rawEntry, key: normalizeLicenseKey(rawEntry.key) };
+    
+    if (seen.has(entry.key)) {
+      report.skipped.push({ key: entry.key, reason: 'Duplicate in batch' });
+      continue;
+    }
+    seen.add(entry.key);
+    
+    try {
+      const existing = await License.exists({ licenseKey: entry.key });
+      if (existing) {
+        report.skipped.push({ key: entry.key, reason: 'Already in database' });
+        continue;
+      }
+      
+      const durationMonths = entry.type === 'monthly' && entry.durationMonths
+        ? entry.durationMonths
+        : getPlan(entry.type).durationMonths;
+      
+      const license = new License({
+        licenseKey: entry.key,
+        customerEmail: entry.customerEmail || undefined,
+        customerName: entry.customerEmail ? entry.customerEmail.split('@')[0] : undefined,
+        plan: entry.type,
+        source: 'import',
+        notes: entry.notes || undefined,
+        durationMonths: durationMonths,
+        isActive: entry.isActive !== false
+      });
+      
+      await license.save();
+      report.imported.push(entry.key);
+    } catch (err) {
+      // A concurrent import may have inserted the same key
+      if (err.code === 11000) {
+        report.skipped.push({ key: entry.key, reason: 'Already in database' });
+      } else {
+        report.failed.push({ key: entry.key, reason: err.message });
+      }
+    }
+  }
+  
+  return report;
+}
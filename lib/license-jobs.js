@@ -0,0 +1,214 @@
+import License from '../models/License.js';
+import { sendTemplateEmail } from './email/index.js';
+import { logger } from './logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Parse a comma separated list of day counts, e.g. "14,3,1"
+function parseDays(value, fallback) {
+  const days = (value || fallback)
+    .split(',')
+    .map(day => parseInt(day.trim(), 10))
+    .filter(day => Number.isInteger(day) && day >= 0);
+  return [...new Set(days)].sort((a, b) => a - b);
+}
+
+// Licenses that will simply run out: no subscription, or one set to cancel.
+// Team seats follow their team's subscription instead.
+const NON_RENEWING = {
+  $or: [{ stripeSubscriptionId: null }, { cancelAtPeriodEnd: true }],
+  'teamMembership.team': null
+};
+
+// Email licenses that are about to run out. Each license gets at most one
+// reminder per offset in EXPIRY_REMINDER_DAYS for its current expiry date.
+export async function sendExpiryReminders(now = new Date()) {
+  const offsets = parseDays(process.env.EXPIRY_REMINDER_DAYS, '14,3,1');
+  if (offsets.length === 0) {
+    return { sent: 0 };
+  }
+  
+  const licenses = await License.find({
+    ...NON_RENEWING,
+    isActive: true,
+    // Trials get their own email once they end
+    plan: { $nin: ['lifetime', 'trial'] },
+    customerEmail: { $ne: null },
+    expiresAt: { $gt: now, $lte: new Date(now.getTime() + offsets[offsets.length - 1] * DAY_MS) }
+  });
+  
+  let sent = 0;
+  for (const license of licenses) {
+    const daysLeft = Math.ceil((license.expiresAt - now) / DAY_MS);
+    // The closest offset covers a license that skipped the earlier ones
+    const offsetDays = offsets.find(offset => offset >= daysLeft);
+    const alreadySent = license.expiryReminders.some(reminder =>
+      reminder.expiresAt.getTime() === license.expiresAt.getTime() && reminder.offsetDays <= offsetDays
+    );
+    if (alreadySent) {
+      continue;
+    }
+    
+    try {
+      await sendTemplateEmail(license.customerEmail, 'expiry-warning', {
+        customerName: license.customerName,
+        licenseKey: license.licenseKey,
+        plan: license.plan,
+        expiresAt: license.expiresAt,
+        daysLeft: daysLeft
+      });
+    } catch (error) {
+      logger.error('Error sending expiry reminder', { licenseKey: license.licenseKey, error: error.message });
+      continue;
+    }
+    
+    license.expiryReminders.push({ offsetDays, expiresAt: license.expiresAt, sentAt: now });
+    await license.save();
+    sent++;
+  }
+  
+  return { sent };
+}
+
+// Deactivate every license past its expiry date. Licenses whose
+// subscription (or team's subscription) is still renewing get
+// EXPIRY_GRACE_HOURS for the invoice.paid webhook to extend them first.
+// Past due licenses are left alone: they keep working while Stripe
+// retries, and the subscription webhook switches them off if it gives up.
+export async function deactivateExpiredLicenses(now = new Date()) {
+  const graceHours = parseInt(process.env.EXPIRY_GRACE_HOURS || '48', 10);
+  
+  const result = await License.updateMany(
+    {
+      isActive: true,
+      billingStatus: { $ne: 'past_due' },
+      'dunning.startedAt': null,
+      $or: [
+        { ...NON_RENEWING, expiresAt: { $lte: now } },
+        {
+          $nor: [NON_RENEWING],
+          expiresAt: { $lte: new Date(now.getTime() - graceHours * HOUR_MS) }
+        }
+      ]
+    },
+    { $set: { isActive: false, deactivatedReason: 'expired' } }
+  );
+  
+  return { deactivated: result.modifiedCount };
+}
+
+// Send the payment-failed email at each step of DUNNING_SCHEDULE_DAYS,
+// counted from the first failed renewal, until the invoice is paid or
+// the subscription ends.
+export async function runDunning(now = new Date()) {
+  const schedule = parseDays(process.env.DUNNING_SCHEDULE_DAYS, '0,3,7');
+  
+  // Only licenses still waiting on a retry; refunds, chargebacks and
+  // admins switch the license off and end the reminders with it
+  const licenses = await License.find({
+    isActive: true,
+    billingStatus: 'past_due',
+    'dunning.startedAt': { $ne: null },
+    'dunning.emailsSent': { $lt: schedule.length }
+  });
+  
+  let sent = 0;
+  for (const license of licenses) {
+    const { dunning } = license;
+    if (dunning.emailsSent >= schedule.length) {
+      continue;
+    }
+    const dueAt = new Date(dunning.startedAt.getTime() + schedule[dunning.emailsSent] * DAY_MS);
+    if (dueAt > now) {
+      continue;
+    }
+    
+    try {
+      await sendTemplateEmail(license.customerEmail, 'payment-failed', {
+        customerName: license.customerName,
+        licenseKey: license.licenseKey,
+        plan: license.plan,
+        amount: dunning.amount,
+        currency: dunning.currency,
+        nextAttemptAt: dunning.nextPaymentAttemptAt > now ? dunning.nextPaymentAttemptAt : null
+      });
+    } catch (error) {
+      logger.error('Error sending dunning email', { licenseKey: license.licenseKey, error: error.message });
+      continue;
+    }
+    
+    // Skip steps that were missed while the scheduler was down
+    let emailsSent = dunning.emailsSent + 1;
+    while (emailsSent < schedule.length && dunning.startedAt.getTime() + schedule[emailsSent] * DAY_MS <= now.getTime()) {
+      emailsSent++;
+    }
+    dunning.emailsSent = emailsSent;
+    dunning.lastEmailAt = now;
+    await license.save();
+    sent++;
+  }
+  
+  return { sent };
+}
+
+// Offer checkout to trials that have ended without being converted
+export async function sendTrialEndedEmails(now = new Date()) {
+  const websiteUrl = process.env.FRONTEND_URL || 'https://sorvide.com';
+  const checkoutUrl = process.env.TRIAL_CHECKOUT_URL || `${websiteUrl}/pricing`;
+  
+  const licenses = await License.find({
+    plan: 'trial',
+    expiresAt: { $lte: now },
+    'trial.endEmailSentAt': null,
+    'trial.convertedAt': null
+  });
+  
+  let sent = 0;
+  for (const license of licenses) {
+    try {
+      await sendTemplateEmail(license.customerEmail, 'trial-ended', {
+        customerName: license.customerName,
+        licenseKey: license.licenseKey,
+        expiresAt: license.expiresAt,
+        checkoutUrl: `${checkoutUrl}${checkoutUrl.includes('?') ? '&' : '?'}email=${encodeURIComponent(license.customerEmail)}`
+      });
+    } catch (error) {
+      logger.error('Error sending trial ended email', { licenseKey: license.licenseKey, error: error.message });
+      continue;
+    }
+    
+    license.trial.endEmailSentAt = now;
+    await license.save();
+    sent++;
+  }
+  
+  return { sent };
+}
+
+export const LICENSE_JOBS = [
+  {
+    name: 'expiry-reminders',
+    description: 'Email non-renewing licenses before they expire',
+    intervalMs: HOUR_MS,
+    run: sendExpiryReminders
+  },
+  {
+    name: 'deactivate-expired',
+    description: 'Deactivate licenses past their expiry date',
+    intervalMs: 15 * 60 * 1000,
+    run: deactivateExpiredLicenses
+  },
+  {
+    name: 'dunning',
+    description: 'Chase failed renewal payments by email',
+    intervalMs: HOUR_MS,
+    run: runDunning
+  },
+  {
+    name: 'trial-endings',
+    description: 'Email trials that have ended with a checkout link',
+    intervalMs: HOUR_MS,
+    run: sendTrialEndedEmails
+  }
+];
@@ -0,0 +1,83 @@
+import crypto from 'crypto';
+import { logger } from './logger.js';
+
+// Shared by server.js and generate-keys.mjs so every key has the same shape:
+//   PREFIX-SORV-XXXX-XXXX-XXXX-XXXX-CCCC
+// where CCCC is a checksum over the rest of the key. Keys issued before the
+// checksum group was added (no CCCC) are still accepted.
+const KEY_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+const GROUP_LENGTH = 4;
+const RANDOM_GROUPS = 4;
+const MAX_KEY_ATTEMPTS = 5;
+
+const KEY_PATTERN = /^[A-Z]+-SORV-([A-Z0-9]{4}-){3}[A-Z0-9]{4}(-[A-Z0-9]{4})?$/;
+
+function randomGroup() {
+  let group = '';
+  for (let i = 0; i < GROUP_LENGTH; i++) {
+    group += KEY_ALPHABET.charAt(crypto.randomInt(KEY_ALPHABET.length));
+  }
+  return group;
+}
+
+function checksumGroup(body) {
+  const digest = crypto.createHash('sha256').update(body).digest();
+  let group = '';
+  for (let i = 0; i < GROUP_LENGTH; i++) {
+    group += KEY_ALPHABET.charAt(digest[i] % KEY_ALPHABET.length);
+  }
+  return group;
+}
+
+// Generate a license key from a CSPRNG with a trailing checksum group
+export function generateLicenseKey(prefix = 'MONTH') {
+  const groups = [];
+  for (let i = 0; i < RANDOM_GROUPS; i++) {
+    groups.push(randomGroup());
+  }
+  
+  const body = `${prefix}-SORV-${groups.join('-')}`;
+  return `${body}-${checksumGroup(body)}`;
+}
+
+// Uppercase and strip whitespace so pasted keys match what we stored
+export function normalizeLicenseKey(input) {
+  if (typeof input !== 'string') {
+    return '';
+  }
+  return input.replace(/\s+/g, '').toUpperCase();
+}
+
+// True if the key has a valid shape and, for checksummed keys, a matching
+// checksum. Lets obvious typos be rejected without a database lookup.
+export function isWellFormedLicenseKey(key) {
+  if (!KEY_PATTERN.test(key)) {
+    return false;
+  }
+  
+  const groups = key.split('-');
+  if (groups.length === RANDOM_GROUPS + 2) {
+    return true; // Legacy key without a checksum group
+  }
+  
+  const checksum = groups.pop();
+  return checksumGroup(groups.join('-')) === checksum;
+}
+
+// Assign a fresh key and save, retrying if the key collides on the unique
+// index. `field` names the key field for documents other than licenses,
+// e.g. 'teamKey' for teams.
+export async function saveWithUniqueKey(doc, prefix, { field = 'licenseKey' } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    doc[field] = generateLicenseKey(prefix);
+    try {
+      return await doc.save();
+    } catch (err) {
+      const isKeyCollision = err.code === 11000 && err.keyPattern?.[field];
+      if (!isKeyCollision || attempt >= MAX_KEY_ATTEMPTS) {
+        throw err;
+      }
+      logger.warn('Key collision, retrying', { field, attempt });
+    }
+  }
+}
@@ -0,0 +1,88 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { v4 as uuidv4 } from 'uuid';
+import { logger } from './logger.js';
+
+const TOKEN_ALGORITHM = 'RS256';
+const TOKEN_ISSUER = 'sorvide-backend';
+
+let signingKeys = null;
+
+// Load the RSA key pair used to sign offline license tokens.
+// LICENSE_TOKEN_PRIVATE_KEY holds a PEM private key ("\n" escapes allowed);
+// without it an ephemeral pair is generated, so tokens die with the process.
+function getSigningKeys() {
+  if (signingKeys) {
+    return signingKeys;
+  }
+  
+  let privateKey;
+  if (process.env.LICENSE_TOKEN_PRIVATE_KEY) {
+    privateKey = process.env.LICENSE_TOKEN_PRIVATE_KEY.replace(/\\n/g, '\n');
+  } else {
+    logger.warn('LICENSE_TOKEN_PRIVATE_KEY not set, using an ephemeral signing key');
+    privateKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+      .privateKey.export({ type: 'pkcs8', format: 'pem' });
+  }
+  
+  const publicKey = crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'pem' });
+  const keyId = crypto.createHash('sha256').update(publicKey).digest('hex').slice(0, 16);
+  
+  signingKeys = { privateKey, publicKey, keyId };
+  return signingKeys;
+}
+
+function getOfflineGraceDays() {
+  return parseInt(process.env.OFFLINE_GRACE_DAYS || '7', 10);
+}
+
+// Sign a token the extension can verify locally while the backend is unreachable
+export function issueLicenseToken(license, deviceId, now = new Date()) {
+  const { privateKey, keyId } = getSigningKeys();
+  
+  const graceUntil = new Date(now.getTime() + getOfflineGraceDays() * 24 * 60 * 60 * 1000);
+  // Never let the offline window outlive the license itself
+  const validUntil = graceUntil < license.expiresAt ? graceUntil : license.expiresAt;
+  
+  const payload = {
+    key: license.licenseKey,
+    plan: license.plan,
+    entitlements: license.getEntitlements(),
+    deviceId: deviceId,
+    expiresAt: license.expiresAt.toISOString(),
+    graceUntil: validUntil.toISOString()
+  };
+  
+  const token = jwt.sign(payload, privateKey, {
+    algorithm: TOKEN_ALGORITHM,
+    issuer: TOKEN_ISSUER,
+    subject: license.licenseKey,
+    jwtid: uuidv4(),
+    keyid: keyId,
+    expiresIn: Math.max(Math.floor((validUntil - now) / 1000), 0)
+  });
+  
+  return { token, expiresAt: validUntil.toISOString() };
+}
+
+// Verify a token's signature and issuer. Refreshing accepts expired tokens,
+// since the license state is re-checked before a new one is issued.
+export function verifyLicenseToken(token, { ignoreExpiration = false } = {}) {
+  const { publicKey } = getSigningKeys();
+  return jwt.verify(token, publicKey, {
+    algorithms: [TOKEN_ALGORITHM],
+    issuer: TOKEN_ISSUER,
+    ignoreExpiration
+  });
+}
+
+export function getPublicKeyInfo() {
+  const { publicKey, keyId } = getSigningKeys();
+  return {
+    algorithm: TOKEN_ALGORITHM,
+    issuer: TOKEN_ISSUER,
+    keyId: keyId,
+    publicKey: publicKey,
+    offlineGraceDays: getOfflineGraceDays()
+  };
+}
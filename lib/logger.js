@@ -0,0 +1,119 @@
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+import winston from 'winston';
+
+// Structured JSON logs. License keys, email addresses and Stripe IDs are
+// masked wherever they appear, and every line logged while handling a
+// request (or a webhook event) carries its request ID (or event ID).
+
+// LOG_LEVEL overrides the default for the environment
+const DEFAULT_LEVELS = {
+  production: 'http',
+  development: 'debug',
+  test: 'warn'
+};
+
+function configuredLevel() {
+  return process.env.LOG_LEVEL || DEFAULT_LEVELS[process.env.NODE_ENV] || 'debug';
+}
+
+// ==== Redaction ====
+
+const LICENSE_KEY_PATTERN = /\b([A-Z]+)-SORV-(?:[A-Z0-9]{4}-){3}([A-Z0-9]{4})(?:-([A-Z0-9]{4}))?\b/g;
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@([A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,})/g;
+// Customer, subscription, payment and checkout IDs. Event IDs (evt_) are
+// left alone so webhook logs can be matched with the Stripe dashboard.
+const STRIPE_ID_PATTERN = /\b(cus|sub|si|pi|ch|py|in|re|dp|pm|seti|cs_test|cs_live|cs|bps|promo)_[A-Za-z0-9]{6,}\b/g;
+
+// Fields never logged, whatever they contain
+const SECRET_FIELDS = ['password', 'passwordhash', 'token', 'offlinetoken', 'authorization', 'x-admin-token', 'codehash', 'secret'];
+
+export function redactString(value) {
+  return value
+    .replace(LICENSE_KEY_PATTERN, (match, prefix, last, checksum) => `${prefix}-SORV-****-${checksum || last}`)
+    .replace(EMAIL_PATTERN, (match, domain) => `${match.charAt(0)}***@${domain}`)
+    .replace(STRIPE_ID_PATTERN, (match, prefix) => `${prefix}_****${match.slice(-4)}`);
+}
+
+function redactValue(value, depth = 0) {
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (value instanceof Error) {
+    return redactValue({ name: value.name, message: value.message, code: value.code, stack: value.stack }, depth);
+  }
+  if (!value || typeof value !== 'object' || value instanceof Date || depth > 5) {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redactValue(item, depth + 1));
+  }
+  
+  const redacted = {};
+  for (const [key, item] of Object.entries(value)) {
+    redacted[key] = SECRET_FIELDS.includes(key.toLowerCase()) ? '[redacted]' : redactValue(item, depth + 1);
+  }
+  return redacted;
+}
+
+// Redact every field except winston's own (level and the Symbol keys)
+const redact = winston.format((info) => {
+  for (const key of Object.keys(info)) {
+    if (key !== 'level') {
+      info[key] = SECRET_FIELDS.includes(key.toLowerCase()) ? '[redacted]' : redactValue(info[key]);
+    }
+  }
+  return info;
+});
+
+// ==== Request and event context ====
+
+const context = new AsyncLocalStorage();
+
+const withContext = winston.format((info) => {
+  return Object.assign(info, context.getStore());
+});
+
+// Run `fn` with extra fields added to every line it logs
+export function withLogContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+export const logger = winston.createLogger({
+  level: configuredLevel(),
+  format: winston.format.combine(
+    withContext(),
+    winston.format.timestamp(),
+    redact(),
+    winston.format.json()
+  ),
+  transports: [new winston.transports.Console()]
+});
+
+// Pick up LOG_LEVEL once dotenv has loaded it
+export function configureLogger() {
+  logger.level = configuredLevel();
+}
+
+// Give each request an ID, echoed back in X-Request-Id. An ID set by a
+// proxy in front of us is kept so logs can be followed across both.
+export function requestLogger(req, res, next) {
+  const incoming = req.get('x-request-id');
+  const requestId = incoming && /^[\w-]{1,64}$/.test(incoming) ? incoming : crypto.randomUUID();
+  const startedAt = process.hrtime.bigint();
+  
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+  
+  res.on('finish', () => {
+    logger.http('Request completed', {
+      requestId: requestId,
+      method: req.method,
+      path: req.originalUrl,
+      status: res.statusCode,
+      durationMs: Number(process.hrtime.bigint() - startedAt) / 1e6
+    });
+  });
+  
+  withLogContext({ requestId }, next);
+}
@@ -0,0 +1,149 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Server-side plan catalog. Checkout, the webhook, license emails, the key
+// importer and validation responses all resolve plans through here.
+//
+// Plans live in config/plans.json (or the file named by PLAN_CATALOG_PATH)
+// so prices, seat counts and entitlements can change without a code
+// change to the extension.
+const DEFAULT_CATALOG_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'config', 'plans.json');
+
+const REQUIRED_FIELDS = ['id', 'name', 'keyPrefix', 'maxDevices', 'entitlements'];
+
+export const DEFAULT_PLAN = 'monthly';
+
+let catalog = null;
+
+function checkEntitlementValue(name, value, defaults, where) {
+  if (!Object.prototype.hasOwnProperty.call(defaults, name)) {
+    throw new Error(`${where}: unknown entitlement "${name}"`);
+  }
+  // null means unlimited for numeric limits
+  if (value === null && typeof defaults[name] === 'number') {
+    return;
+  }
+  const expected = Array.isArray(defaults[name]) ? 'array' : typeof defaults[name];
+  const actual = Array.isArray(value) ? 'array' : typeof value;
+  if (expected !== actual) {
+    throw new Error(`${where}: entitlement "${name}" must be a ${expected}`);
+  }
+}
+
+// Check the catalog's shape so a bad edit fails at boot, not at checkout
+function validateCatalog(data) {
+  const defaults = data.defaultEntitlements;
+  if (!defaults || typeof defaults !== 'object') {
+    throw new Error('Plan catalog is missing defaultEntitlements');
+  }
+  if (!data.plans || !data.plans[DEFAULT_PLAN]) {
+    throw new Error(`Plan catalog must define the "${DEFAULT_PLAN}" plan`);
+  }
+  
+  for (const [id, plan] of Object.entries(data.plans)) {
+    for (const field of REQUIRED_FIELDS) {
+      if (plan[field] === undefined) {
+        throw new Error(`Plan "${id}" is missing ${field}`);
+      }
+    }
+    if (plan.id !== id) {
+      throw new Error(`Plan "${id}" has mismatched id "${plan.id}"`);
+    }
+    if (plan.checkoutMode && !plan.stripePriceId && !plan.priceIdEnv) {
+      throw new Error(`Plan "${id}" is sold at checkout but has no Stripe price`);
+    }
+    for (const [name, value] of Object.entries(plan.entitlements)) {
+      checkEntitlementValue(name, value, defaults, `Plan "${id}"`);
+    }
+  }
+}
+
+// Read and validate the catalog. Called once at startup; later calls
+// return the cached catalog unless `reload` is set.
+export function loadPlanCatalog({ reload = false } = {}) {
+  if (catalog && !reload) {
+    return catalog;
+  }
+  
+  const file = process.env.PLAN_CATALOG_PATH || DEFAULT_CATALOG_PATH;
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  validateCatalog(data);
+  
+  catalog = data;
+  return catalog;
+}
+
+export function getPlan(planId) {
+  const { plans } = loadPlanCatalog();
+  return Object.prototype.hasOwnProperty.call(plans, planId) ? plans[planId] : null;
+}
+
+export function listPlans() {
+  return Object.values(loadPlanCatalog().plans);
+}
+
+// Stripe price configured for a plan, or null if the plan is not on sale
+export function getPlanPriceId(plan) {
+  if (plan.stripePriceId) {
+    return plan.stripePriceId;
+  }
+  return plan.priceIdEnv ? process.env[plan.priceIdEnv] || null : null;
+}
+
+// Features and limits for a plan, with per-license overrides on top
+export function resolveEntitlements(plan, overrides = {}) {
+  return {
+    ...loadPlanCatalog().defaultEntitlements,
+    ...(plan ? plan.entitlements : {}),
+    ...overrides
+  };
+}
+
+// Throws if `overrides` names an unknown entitlement or has the wrong type
+export function validateEntitlementOverrides(overrides) {
+  const { defaultEntitlements } = loadPlanCatalog();
+  for (const [name, value] of Object.entries(overrides)) {
+    checkEntitlementValue(name, value, defaultEntitlements, 'Override');
+  }
+}
+
+// Expiry for a license on this plan, counted from `from`
+export function calculateExpiry(plan, from = new Date()) {
+  const expiresAt = new Date(from);
+  if (plan.durationDays) {
+    expiresAt.setDate(expiresAt.getDate() + plan.durationDays);
+  } else {
+    expiresAt.setMonth(expiresAt.getMonth() + plan.durationMonths);
+  }
+  return expiresAt;
+}
+
+// Monthly recurring revenue of one seat at list price, in cents.
+// One-time and free plans contribute nothing.
+export function monthlyListPrice(plan) {
+  if (!plan || !plan.listPriceCents) {
+    return 0;
+  }
+  if (plan.cadence === 'month') {
+    return plan.listPriceCents;
+  }
+  if (plan.cadence === 'year') {
+    return Math.round(plan.listPriceCents / 12);
+  }
+  return 0;
+}
+
+// Human readable price for emails, e.g. "$99.00 / year"
+export function formatPlanPrice(plan, amount, currency) {
+  if (amount == null || !currency) {
+    return plan.defaultPrice || 'See your Stripe receipt';
+  }
+  
+  const formatted = new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: currency.toUpperCase()
+  }).format(amount / 100);
+  
+  return plan.cadence ? `${formatted} / ${plan.cadence}` : `${formatted} one-time`;
+}
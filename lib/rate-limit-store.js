@@ -0,0 +1,46 @@
+import RateLimitHit from '../models/RateLimitHit.js';
+
+// express-rate-limit store backed by MongoDB, so limits hold across instances.
+// Each limiter gets its own instance with a prefix to keep counters apart.
+export class MongoRateLimitStore {
+  constructor(prefix) {
+    this.prefix = prefix;
+    // Keys are namespaced per instance, so two limiters can count the same IP
+    this.localKeys = true;
+  }
+  
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+  
+  async increment(key) {
+    const now = new Date();
+    const newReset = new Date(now.getTime() + this.windowMs);
+    const windowOpen = { $gt: ['$resetTime', now] };
+    
+    // Start a new window or count a hit in the current one, atomically
+    const doc = await RateLimitHit.findOneAndUpdate(
+      { _id: `${this.prefix}:${key}` },
+      [{
+        $set: {
+          hits: { $cond: [windowOpen, { $add: ['$hits', 1] }, 1] },
+          resetTime: { $cond: [windowOpen, '$resetTime', newReset] }
+        }
+      }],
+      { upsert: true, new: true }
+    ).lean();
+    
+    return { totalHits: doc.hits, resetTime: doc.resetTime };
+  }
+  
+  async decrement(key) {
+    await RateLimitHit.updateOne(
+      { _id: `${this.prefix}:${key}`, hits: { $gt: 0 } },
+      { $inc: { hits: -1 } }
+    );
+  }
+  
+  async resetKey(key) {
+    await RateLimitHit.deleteOne({ _id: `${this.prefix}:${key}` });
+  }
+}
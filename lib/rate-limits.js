@@ -0,0 +1,182 @@
+import rateLimit from 'express-rate-limit';
+import Lockout from '../models/Lockout.js';
+import { MongoRateLimitStore } from './rate-limit-store.js';
+import { logger } from './logger.js';
+
+// Settings are read when used rather than at import time, so values loaded
+// by dotenv in server.js are picked up.
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+// Counters live in MongoDB when several instances must share them.
+// RATE_LIMIT_STORE=memory|mongo, defaulting to mongo in production.
+function useSharedStore() {
+  if (process.env.RATE_LIMIT_STORE) {
+    return process.env.RATE_LIMIT_STORE === 'mongo';
+  }
+  return process.env.NODE_ENV === 'production';
+}
+
+// Build a rate limiter with standard RateLimit-* headers. Defaults can be
+// overridden per limiter, e.g. RATE_LIMIT_VALIDATE_IP_MAX=100 and
+// RATE_LIMIT_VALIDATE_IP_WINDOW_SECONDS=600 for the 'validate-ip' limiter.
+export function createRateLimiter(name, { windowMs, max, ...options }) {
+  const envName = name.toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+  
+  const config = {
+    windowMs: envInt(`RATE_LIMIT_${envName}_WINDOW_SECONDS`, windowMs / 1000) * 1000,
+    max: envInt(`RATE_LIMIT_${envName}_MAX`, max),
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: { error: 'Too many requests, please try again later' },
+    ...options
+  };
+  
+  // Routes word the message their own way; the code is always the same
+  if (config.message && typeof config.message === 'object') {
+    config.message = { ...config.message, code: 'RATE_LIMITED' };
+  }
+  
+  if (useSharedStore()) {
+    config.store = new MongoRateLimitStore(name);
+  }
+  
+  return rateLimit(config);
+}
+
+// ==== Escalating lockouts ====
+// After LOCKOUT_THRESHOLD failures a client is locked out for
+// LOCKOUT_BASE_SECONDS, doubling with every further lockout up to
+// LOCKOUT_MAX_SECONDS. The history is forgotten after a quiet day.
+
+const LOCKOUT_MEMORY_MS = 24 * 60 * 60 * 1000;
+const memoryLockouts = new Map();
+
+function lockoutSettings() {
+  return {
+    threshold: envInt('LOCKOUT_THRESHOLD', 5),
+    baseSeconds: envInt('LOCKOUT_BASE_SECONDS', 60),
+    maxSeconds: envInt('LOCKOUT_MAX_SECONDS', 24 * 60 * 60)
+  };
+}
+
+async function loadLockout(key) {
+  if (useSharedStore()) {
+    return Lockout.findById(key).lean();
+  }
+  return loadMemoryLockout(key);
+}
+
+// Synchronous, so a read-modify-write on the memory store can't interleave
+function loadMemoryLockout(key) {
+  const state = memoryLockouts.get(key);
+  if (state && state.expiresAt < new Date()) {
+    memoryLockouts.delete(key);
+    return null;
+  }
+  return state || null;
+}
+
+// Count one failure and return the updated state. The shared store does
+// it in a single update so concurrent failures can't overwrite each other.
+async function incrementFailures(key, now) {
+  const expiresAt = new Date(now.getTime() + LOCKOUT_MEMORY_MS);
+  
+  if (useSharedStore()) {
+    return Lockout.findOneAndUpdate(
+      { _id: key },
+      { $inc: { failures: 1 }, $set: { lastFailureAt: now, expiresAt: expiresAt } },
+      { upsert: true, new: true, setDefaultsOnInsert: true, lean: true }
+    );
+  }
+  
+  const state = loadMemoryLockout(key) || { _id: key, failures: 0, lockouts: 0 };
+  state.failures += 1;
+  state.lastFailureAt = now;
+  state.expiresAt = expiresAt;
+  memoryLockouts.set(key, state);
+  return state;
+}
+
+// Start a lockout if the key still has at least `threshold` failures.
+// Returns false when a concurrent failure already started it.
+async function startLockout(key, threshold, lockedUntil) {
+  if (useSharedStore()) {
+    const result = await Lockout.updateOne(
+      { _id: key, failures: { $gte: threshold } },
+      { $set: { failures: 0, lockedUntil: lockedUntil }, $inc: { lockouts: 1 } }
+    );
+    return result.modifiedCount > 0;
+  }
+  
+  const state = loadMemoryLockout(key);
+  if (!state || state.failures < threshold) {
+    return false;
+  }
+  state.failures = 0;
+  state.lockedUntil = lockedUntil;
+  state.lockouts += 1;
+  return true;
+}
+
+// Seconds until the key may try again, or 0 if it is not locked out
+export async function getLockoutSeconds(key) {
+  const state = await loadLockout(key);
+  if (!state || !state.lockedUntil) {
+    return 0;
+  }
+  return Math.max(Math.ceil((new Date(state.lockedUntil) - Date.now()) / 1000), 0);
+}
+
+// Count a failed attempt and lock the key out once it crosses the threshold
+export async function recordFailure(key) {
+  const { threshold, baseSeconds, maxSeconds } = lockoutSettings();
+  const now = new Date();
+  
+  const state = await incrementFailures(key, now);
+  
+  if (state.failures >= threshold) {
+    const lockouts = state.lockouts + 1;
+    const seconds = Math.min(baseSeconds * 2 ** state.lockouts, maxSeconds);
+    if (await startLockout(key, threshold, new Date(now.getTime() + seconds * 1000))) {
+      logger.warn('Locked out after repeated failures', { key, seconds, lockouts });
+    }
+  }
+}
+
+// Forget pending failures after a success; past lockouts still escalate
+export async function clearFailures(key) {
+  if (useSharedStore()) {
+    await Lockout.updateOne({ _id: key, failures: { $gt: 0 } }, { $set: { failures: 0 } });
+    return;
+  }
+  
+  const state = loadMemoryLockout(key);
+  if (state) {
+    state.failures = 0;
+  }
+}
+
+// Middleware rejecting requests while any of the keys from `getKeys` is locked
+export function lockoutGuard(getKeys, body = { error: 'Too many failed attempts, please try again later' }) {
+  return async (req, res, next) => {
+    try {
+      let retryAfter = 0;
+      for (const key of getKeys(req)) {
+        retryAfter = Math.max(retryAfter, await getLockoutSeconds(key));
+      }
+      
+      if (retryAfter > 0) {
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({ ...body, code: 'LOCKED_OUT', lockedOut: true, retryAfter: retryAfter });
+      }
+      next();
+    } catch (error) {
+      // Never let the lockout store take the endpoint down
+      logger.error('Lockout check error', { error });
+      next();
+    }
+  };
+}
@@ -0,0 +1,129 @@
+import os from 'os';
+import JobLock from '../models/JobLock.js';
+import { logger } from './logger.js';
+
+const INSTANCE_ID = `${os.hostname()}-${process.pid}`;
+const TICK_MS = 60 * 1000;
+
+let jobs = [];
+let tickTimer = null;
+
+// Take the lock for a job that is due. Only one instance wins: the rest
+// either miss the filter or hit the unique index on upsert.
+async function acquireLock(job, now) {
+  try {
+    return await JobLock.findOneAndUpdate(
+      {
+        name: job.name,
+        $and: [
+          { $or: [{ nextRunAt: null }, { nextRunAt: { $lte: now } }] },
+          { $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] }
+        ]
+      },
+      {
+        lockedBy: INSTANCE_ID,
+        lockedUntil: new Date(now.getTime() + job.lockMs),
+        lastStartedAt: now
+      },
+      { new: true, upsert: true }
+    );
+  } catch (err) {
+    if (err.code === 11000) {
+      return null;
+    }
+    throw err;
+  }
+}
+
+// Run one job if it is due and no other instance holds its lock.
+// Pass force to run it now regardless of its schedule.
+export async function runJob(name, { force = false } = {}) {
+  const job = jobs.find(j => j.name === name);
+  if (!job) {
+    throw new Error(`Unknown job: ${name}`);
+  }
+  
+  const now = new Date();
+  if (force) {
+    await JobLock.updateOne(
+      { name, $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+      { nextRunAt: now }
+    );
+  }
+  
+  const lock = await acquireLock(job, now);
+  if (!lock) {
+    return null;
+  }
+  
+  let result = null;
+  let error = null;
+  try {
+    result = await job.run(now);
+    logger.info('Job finished', { job: job.name, result });
+  } catch (err) {
+    error = err;
+    logger.error('Job failed', { job: job.name, error: err });
+  }
+  
+  await JobLock.updateOne(
+    { name: job.name, lockedBy: INSTANCE_ID },
+    {
+      lockedUntil: null,
+      nextRunAt: new Date(now.getTime() + job.intervalMs),
+      lastFinishedAt: new Date(),
+      lastResult: result,
+      lastError: error ? error.message : null
+    }
+  );
+  
+  return { result, error: error ? error.message : null };
+}
+
+// Last run details for every registered job
+export async function getJobStatus() {
+  const locks = await JobLock.find({ name: { $in: jobs.map(j => j.name) } }).lean();
+  
+  return jobs.map(job => {
+    const lock = locks.find(l => l.name === job.name) || {};
+    return {
+      name: job.name,
+      description: job.description,
+      intervalMinutes: job.intervalMs / 60000,
+      nextRunAt: lock.nextRunAt || null,
+      running: !!lock.lockedUntil && lock.lockedUntil > new Date(),
+      lockedBy: lock.lockedBy || null,
+      lastStartedAt: lock.lastStartedAt || null,
+      lastFinishedAt: lock.lastFinishedAt || null,
+      lastResult: lock.lastResult || null,
+      lastError: lock.lastError || null
+    };
+  });
+}
+
+// Register jobs ({ name, description, intervalMs, run(now) }) and check
+// every minute which of them are due. SCHEDULER_ENABLED=false turns this
+// off, e.g. on instances that should only serve requests.
+export function startScheduler(jobList) {
+  jobs = jobList.map(job => ({ lockMs: 15 * 60 * 1000, ...job }));
+  
+  if (process.env.SCHEDULER_ENABLED === 'false' || tickTimer) {
+    return;
+  }
+  
+  const tick = async () => {
+    for (const job of jobs) {
+      try {
+        await runJob(job.name);
+      } catch (error) {
+        logger.error('Scheduler error', { job: job.name, error: error.message });
+      }
+    }
+  };
+  
+  tickTimer = setInterval(tick, TICK_MS);
+  tickTimer.unref();
+  tick();
+  
+  logger.info('Scheduler started', { jobs: jobs.length, instance: INSTANCE_ID });
+}
@@ -0,0 +1,128 @@
+import Team from '../models/Team.js';
+import License from '../models/License.js';
+import { getPlan, DEFAULT_PLAN } from './plans.js';
+import { saveWithUniqueKey } from './license-keys.js';
+import { unbindLicense } from './device-bindings.js';
+
+// Member licenses still holding a seat
+function activeSeatFilter(team) {
+  return { 'teamMembership.team': team._id, 'teamMembership.revokedAt': null };
+}
+
+function revokeSeat(license, reason, now) {
+  license.teamMembership.revokedAt = now;
+  license.teamMembership.revokedReason = reason;
+  license.isActive = false;
+  license.deactivatedReason = 'team';
+  license.devices = [];
+  license.pendingTransfer = undefined;
+}
+
+// Create a team under a fresh TEAM- key
+export function createTeam(fields) {
+  return saveWithUniqueKey(new Team(fields), 'TEAM', { field: 'teamKey' });
+}
+
+export async function getTeamSeatUsage(team) {
+  const seatsUsed = await License.countDocuments(activeSeatFilter(team));
+  return {
+    seatsUsed: seatsUsed,
+    seatLimit: team.seats,
+    seatsRemaining: Math.max(team.seats - seatsUsed, 0)
+  };
+}
+
+// Every member ever invited, revoked ones included
+export function listTeamMembers(team) {
+  return License.find({ 'teamMembership.team': team._id }).sort({ 'teamMembership.invitedAt': 1 });
+}
+
+// Give every active seat the team's plan, expiry, status and billing
+// status so the whole team renews, lapses or is blocked together
+export async function syncTeamSeats(team) {
+  const result = await License.updateMany(activeSeatFilter(team), {
+    $set: { plan: team.plan, expiresAt: team.expiresAt, isActive: team.isActive, billingStatus: team.billingStatus }
+  });
+  return result.modifiedCount;
+}
+
+// Match the seat count to the subscription quantity. If there are now more
+// members than seats, the most recently invited lose theirs.
+export async function setTeamSeats(team, seats, now = new Date()) {
+  team.seats = seats;
+  
+  const members = await License.find(activeSeatFilter(team)).sort({ 'teamMembership.invitedAt': -1 });
+  const excess = members.slice(0, Math.max(members.length - seats, 0));
+  
+  for (const member of excess) {
+    revokeSeat(member, 'seats-reduced', now);
+    await member.save();
+    await unbindLicense(member.licenseKey, 'revoked', now);
+  }
+  
+  return excess;
+}
+
+// Issue a member license for an email address. Returns { error, code }
+// when the team is inactive, full, or the address already has a seat.
+export async function inviteTeamMember(team, email, name, now = new Date()) {
+  if (!team.isActive) {
+    return { error: 'Team subscription is not active', code: 'TEAM_INACTIVE' };
+  }
+  
+  const existing = await License.findOne({ ...activeSeatFilter(team), customerEmail: email })
+    .collation({ locale: 'en', strength: 2 });
+  if (existing) {
+    return { error: 'That email address already has a seat on this team', code: 'ALREADY_MEMBER', alreadyMember: true };
+  }
+  
+  const full = { error: 'Every seat on this team is taken', code: 'SEAT_LIMIT', seatLimitReached: true };
+  if ((await getTeamSeatUsage(team)).seatsRemaining === 0) {
+    return full;
+  }
+  
+  const plan = getPlan(team.plan) || getPlan(DEFAULT_PLAN);
+  const license = new License({
+    customerEmail: email,
+    customerName: name || email.split('@')[0],
+    plan: plan.id,
+    source: 'team',
+    expiresAt: team.expiresAt,
+    isActive: true,
+    billingStatus: team.billingStatus,
+    teamMembership: { team: team._id, invitedAt: now }
+  });
+  await saveWithUniqueKey(license, plan.keyPrefix);
+  
+  // Two invites racing for the last seat: the later one gives it back
+  const seatsUsed = await License.countDocuments({
+    ...activeSeatFilter(team),
+    'teamMembership.invitedAt': { $lte: now }
+  });
+  if (seatsUsed > team.seats) {
+    await License.deleteOne({ _id: license._id });
+    return full;
+  }
+  
+  return { license };
+}
+
+// Free a member's seat by email address or license key
+export async function revokeTeamMember(team, { email, licenseKey }, now = new Date()) {
+  const filter = { ...activeSeatFilter(team) };
+  if (licenseKey) {
+    filter.licenseKey = licenseKey;
+  } else {
+    filter.customerEmail = email;
+  }
+  
+  const license = await License.findOne(filter).collation({ locale: 'en', strength: 2 });
+  if (!license) {
+    return null;
+  }
+  
+  revokeSeat(license, 'owner', now);
+  await license.save();
+  await unbindLicense(license.licenseKey, 'revoked', now);
+  return license;
+}
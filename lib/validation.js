@@ -0,0 +1,122 @@
+import { checkSchema, validationResult } from 'express-validator';
+import { ApiError } from './errors.js';
+
+// Route middleware checking the request against an express-validator
+// schema. Failures go to the error handler as a 400 VALIDATION_FAILED with
+// the first message in `error` and every failing field in `details`.
+// `shape` is merged into every error response from the route, e.g.
+// { valid: false } for the validation endpoints.
+export function validate(schema, shape = {}) {
+  const checks = checkSchema(schema, ['body']);
+  
+  return [
+    (req, res, next) => {
+      req.errorShape = shape;
+      next();
+    },
+    ...checks,
+    (req, res, next) => {
+      const failures = validationResult(req).array({ onlyFirstError: true });
+      if (failures.length === 0) {
+        return next();
+      }
+      
+      next(new ApiError(400, 'VALIDATION_FAILED', failures[0].msg, {
+        details: failures.map(failure => ({ field: failure.path, message: failure.msg }))
+      }));
+    }
+  ];
+}
+
+// ==== Field schemas shared by the routes ====
+
+const mustBeString = (value, { path }) => `${path} must be a string`;
+
+function maxLength(max) {
+  return { options: { max }, errorMessage: (value, { path }) => `${path} must be at most ${max} characters` };
+}
+
+// A required, non-blank string; `message` is used when it's missing
+export function requiredString(message, { max = 200, location = 'body' } = {}) {
+  return {
+    in: [location],
+    exists: { options: { values: 'falsy' }, errorMessage: message, bail: true },
+    isString: { errorMessage: message, bail: true },
+    trim: true,
+    notEmpty: { errorMessage: message, bail: true },
+    isLength: maxLength(max)
+  };
+}
+
+// A string that may be left out or empty
+export function optionalString({ max = 200, location = 'body' } = {}) {
+  return {
+    in: [location],
+    optional: { options: { values: 'falsy' } },
+    isString: { errorMessage: mustBeString, bail: true },
+    trim: true,
+    isLength: maxLength(max)
+  };
+}
+
+export function requiredEmail(message = 'A valid email address is required') {
+  return {
+    in: ['body'],
+    exists: { options: { values: 'falsy' }, errorMessage: message, bail: true },
+    isString: { errorMessage: message, bail: true },
+    trim: true,
+    isEmail: { errorMessage: message }
+  };
+}
+
+// An integer within [min, max], converted to a number
+export function intField(min, max, { optional = false, location = 'body', message } = {}) {
+  return {
+    in: [location],
+    ...(optional && { optional: { options: { values: 'null' } } }),
+    isInt: {
+      options: { min, max },
+      errorMessage: message || ((value, { path }) => `${path} must be between ${min} and ${max}`)
+    },
+    toInt: true
+  };
+}
+
+export function optionalBoolean({ location = 'body' } = {}) {
+  return {
+    in: [location],
+    optional: { options: { values: 'null' } },
+    isBoolean: { errorMessage: (value, { path }) => `${path} must be true or false` },
+    toBoolean: true
+  };
+}
+
+// An ISO 8601 date, converted to a Date. Null passes through untouched
+// for fields where it means "clear".
+export function optionalDate({ location = 'body' } = {}) {
+  return {
+    in: [location],
+    optional: { options: { values: 'null' } },
+    isISO8601: { errorMessage: (value, { path }) => `${path} must be a valid date` },
+    toDate: true
+  };
+}
+
+export function oneOf(values, { optional = false, location = 'body' } = {}) {
+  return {
+    in: [location],
+    ...(optional && { optional: { options: { values: 'falsy' } } }),
+    isIn: {
+      options: [values],
+      errorMessage: (value, { path }) => `${path} must be one of: ${values.join(', ')}`
+    }
+  };
+}
+
+// ?limit for the admin list endpoints, which cap it themselves
+export const limitQuery = {
+  in: ['query'],
+  optional: true,
+  isInt: { options: { min: 1 }, errorMessage: 'limit must be a positive number' },
+  toInt: true
+};
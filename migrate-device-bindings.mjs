@@ -0,0 +1,36 @@
+// migrate-device-bindings.mjs - build device bindings from existing licenses
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { rebuildDeviceBindings } from './lib/device-bindings.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+dotenv.config({ path: path.join(__dirname, '.env') });
+
+// Safe to run more than once: devices that already have a binding are skipped
+async function main() {
+  if (!process.env.MONGODB_URI) {
+    throw new Error('MONGODB_URI is not set');
+  }
+  
+  await mongoose.connect(process.env.MONGODB_URI, { serverSelectionTimeoutMS: 5000 });
+  
+  try {
+    console.log('🔄 Rebuilding device bindings from licenses...');
+    const report = await rebuildDeviceBindings();
+    
+    console.log(`✅ Scanned ${report.licenses} licenses with devices`);
+    console.log(`   Created: ${report.created} bindings`);
+    console.log(`   Skipped: ${report.skipped} devices already bound\n`);
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Device binding migration failed:', error.message);
+  process.exitCode = 1;
+});
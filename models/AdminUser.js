@@ -0,0 +1,42 @@
+import bcrypt from 'bcryptjs';
+import mongoose from 'mongoose';
+
+export const ADMIN_ROLES = ['support', 'billing', 'owner'];
+
+// A teammate who can sign in to the admin API
+const adminUserSchema = new mongoose.Schema({
+  email: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  name: { type: String },
+  passwordHash: { type: String, required: true },
+  role: { type: String, enum: ADMIN_ROLES, required: true },
+  isActive: { type: Boolean, default: true },
+  createdBy: { type: String },
+  createdAt: { type: Date, default: Date.now },
+  lastLoginAt: { type: Date }
+});
+
+adminUserSchema.methods.setPassword = async function (password) {
+  this.passwordHash = await bcrypt.hash(password, 12);
+  return this;
+};
+
+adminUserSchema.methods.checkPassword = function (password) {
+  return bcrypt.compare(password, this.passwordHash);
+};
+
+adminUserSchema.methods.toJSON = function () {
+  return {
+    id: this._id,
+    email: this.email,
+    name: this.name,
+    role: this.role,
+    isActive: this.isActive,
+    createdBy: this.createdBy,
+    createdAt: this.createdAt,
+    lastLoginAt: this.lastLoginAt
+  };
+};
+
+const AdminUser = mongoose.model('AdminUser', adminUserSchema);
+
+export default AdminUser;
@@ -0,0 +1,20 @@
+import mongoose from 'mongoose';
+
+// Who changed what on a license, and when
+const auditLogSchema = new mongoose.Schema({
+  action: { type: String, required: true },
+  licenseKey: { type: String },
+  actor: { type: String, required: true },
+  // { field: { from, to } } for every field the action changed
+  changes: { type: mongoose.Schema.Types.Mixed, default: {} },
+  details: { type: mongoose.Schema.Types.Mixed },
+  ip: { type: String },
+  createdAt: { type: Date, default: Date.now }
+});
+
+auditLogSchema.index({ licenseKey: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+export default AuditLog;
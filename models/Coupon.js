@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+
+// An internal code that grants days of Pro without a payment
+const couponSchema = new mongoose.Schema({
+  code: { type: String, required: true, unique: true },
+  // Groups coupons for redemption reports, e.g. "product-hunt-2026"
+  campaign: { type: String, required: true },
+  days: { type: Number, required: true, min: 1, max: 3650 },
+  // Unlimited when not set
+  maxRedemptions: { type: Number, min: 1 },
+  redemptionCount: { type: Number, default: 0 },
+  expiresAt: { type: Date },
+  isActive: { type: Boolean, default: true },
+  notes: { type: String },
+  createdBy: { type: String },
+  createdAt: { type: Date, default: Date.now }
+});
+
+couponSchema.index({ campaign: 1, createdAt: -1 });
+
+// Why the coupon can't be redeemed right now, or null if it can
+couponSchema.methods.getUnavailableReason = function (now = new Date()) {
+  if (!this.isActive) {
+    return 'This code is no longer active';
+  }
+  if (this.expiresAt && this.expiresAt <= now) {
+    return 'This code has expired';
+  }
+  if (this.maxRedemptions && this.redemptionCount >= this.maxRedemptions) {
+    return 'This code has been fully redeemed';
+  }
+  return null;
+};
+
+const Coupon = mongoose.model('Coupon', couponSchema);
+
+export default Coupon;
@@ -0,0 +1,22 @@
+import mongoose from 'mongoose';
+
+// One use of a coupon; each email can redeem a coupon once
+const couponRedemptionSchema = new mongoose.Schema({
+  coupon: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon', required: true },
+  code: { type: String, required: true },
+  campaign: { type: String, required: true },
+  email: { type: String, required: true },
+  licenseKey: { type: String },
+  // Whether the coupon issued a new license or extended an existing one
+  createdLicense: { type: Boolean, default: false },
+  days: { type: Number, required: true },
+  ip: { type: String },
+  redeemedAt: { type: Date, default: Date.now }
+});
+
+couponRedemptionSchema.index({ coupon: 1, email: 1 }, { unique: true });
+couponRedemptionSchema.index({ campaign: 1, redeemedAt: -1 });
+
+const CouponRedemption = mongoose.model('CouponRedemption', couponRedemptionSchema);
+
+export default CouponRedemption;
@@ -0,0 +1,25 @@
+import mongoose from 'mongoose';
+
+// A license a device used before switching, being deactivated or transferred
+const bindingHistorySchema = new mongoose.Schema({
+  licenseKey: { type: String, required: true },
+  boundAt: { type: Date },
+  unboundAt: { type: Date, default: Date.now },
+  // switched, deactivated, transferred, cleared or revoked
+  reason: { type: String }
+}, { _id: false });
+
+// Which license a device is currently using, one document per device
+const deviceBindingSchema = new mongoose.Schema({
+  deviceId: { type: String, required: true, unique: true },
+  // Unset while the device has no license
+  licenseKey: { type: String, index: true },
+  deviceName: { type: String },
+  boundAt: { type: Date },
+  lastSeenAt: { type: Date },
+  history: { type: [bindingHistorySchema], default: [] }
+});
+
+const DeviceBinding = mongoose.model('DeviceBinding', deviceBindingSchema);
+
+export default DeviceBinding;
@@ -0,0 +1,17 @@
+import mongoose from 'mongoose';
+
+// One document per scheduled job; whoever holds the lock runs the job
+const jobLockSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true },
+  lockedBy: { type: String },
+  lockedUntil: { type: Date },
+  nextRunAt: { type: Date },
+  lastStartedAt: { type: Date },
+  lastFinishedAt: { type: Date },
+  lastResult: { type: mongoose.Schema.Types.Mixed },
+  lastError: { type: String }
+});
+
+const JobLock = mongoose.model('JobLock', jobLockSchema);
+
+export default JobLock;
@@ -0,0 +1,502 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { DEFAULT_PLAN, getPlan, resolveEntitlements } from '../lib/plans.js';
+
+// A device occupying one seat of a license
+const deviceSchema = new mongoose.Schema({
+  deviceId: { type: String, required: true },
+  deviceName: { type: String },
+  activatedAt: { type: Date, default: Date.now },
+  lastSeenAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Fields of every emailed code. Failed attempts and the number of codes
+// sent are counted from windowStartedAt, across codes, to throttle them.
+const emailCodeFields = {
+  codeHash: { type: String, required: true },
+  expiresAt: { type: Date, required: true },
+  attempts: { type: Number, default: 0 },
+  issuedAt: { type: Date },
+  windowStartedAt: { type: Date },
+  codesIssued: { type: Number, default: 0 }
+};
+
+// A transfer waiting for its emailed confirmation code
+const pendingTransferSchema = new mongoose.Schema({
+  deviceId: { type: String, required: true },
+  deviceName: { type: String },
+  replaceDeviceId: { type: String },
+  ...emailCodeFields
+}, { _id: false });
+
+// An emailed code proving the requester can read the license's inbox
+const emailCodeSchema = new mongoose.Schema(emailCodeFields, { _id: false });
+
+// A seat moved between devices. Self-service deactivations are recorded
+// without a toDeviceId so they count towards the same monthly allowance.
+const transferSchema = new mongoose.Schema({
+  fromDeviceId: { type: String },
+  toDeviceId: { type: String },
+  transferredAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// An expiry reminder already sent for one expiry date
+const expiryReminderSchema = new mongoose.Schema({
+  offsetDays: { type: Number, required: true },
+  expiresAt: { type: Date, required: true },
+  sentAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// A failed renewal being chased with payment-failed emails
+const dunningSchema = new mongoose.Schema({
+  invoiceId: { type: String },
+  startedAt: { type: Date, required: true },
+  amount: { type: Number },
+  currency: { type: String },
+  nextPaymentAttemptAt: { type: Date },
+  emailsSent: { type: Number, default: 0 },
+  lastEmailAt: { type: Date }
+}, { _id: false });
+
+// A refunded charge and how much of it has been applied to the license
+export const refundSchema = new mongoose.Schema({
+  chargeId: { type: String, required: true },
+  amountRefunded: { type: Number, required: true },
+  refundedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// A chargeback; the license is suspended until it closes
+export const disputeSchema = new mongoose.Schema({
+  disputeId: { type: String, required: true },
+  wasActive: { type: Boolean },
+  openedAt: { type: Date, default: Date.now },
+  closedAt: { type: Date },
+  status: { type: String }
+}, { _id: false });
+
+// The free trial a license started as; one per device and per email
+const trialSchema = new mongoose.Schema({
+  deviceId: { type: String, required: true },
+  email: { type: String, required: true },
+  startedAt: { type: Date, default: Date.now },
+  endEmailSentAt: { type: Date },
+  convertedAt: { type: Date }
+}, { _id: false });
+
+// A seat on a team purchase
+const teamMembershipSchema = new mongoose.Schema({
+  team: { type: mongoose.Schema.Types.ObjectId, ref: 'Team', required: true },
+  invitedAt: { type: Date, default: Date.now },
+  revokedAt: { type: Date },
+  // 'owner' when the owner freed the seat, 'seats-reduced' when the
+  // subscription quantity went down
+  revokedReason: { type: String }
+}, { _id: false });
+
+export const BILLING_STATUSES = ['active', 'past_due', 'paused', 'disputed', 'refunded', 'chargeback'];
+
+// Billing problems that keep a license off until resolved
+const BLOCKING_BILLING_STATUSES = ['paused', 'disputed', 'refunded', 'chargeback'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EMAIL_CODE_TTL_MS = 15 * 60 * 1000;
+const EMAIL_CODE_MAX_ATTEMPTS = 5;
+const EMAIL_CODE_RESEND_MS = 60 * 1000;
+const EMAIL_CODE_WINDOW_MS = 60 * 60 * 1000;
+const EMAIL_CODES_PER_WINDOW = 5;
+const TRANSFER_WINDOW_MS = 30 * 24 * 60 * 60 * 1000;
+
+function generateEmailCode() {
+  return crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+}
+
+function hashEmailCode(code) {
+  return crypto.createHash('sha256').update(String(code)).digest('hex');
+}
+
+// Issue a code to replace `previous`, unless one was sent within the last
+// minute or the hour's codes or attempts are used up. Failed attempts
+// carry over, so asking for new codes doesn't buy more guesses.
+// Returns { code, pending } or { rejection }.
+function issueEmailCode(previous, now) {
+  const inWindow = !!previous?.windowStartedAt && now - previous.windowStartedAt < EMAIL_CODE_WINDOW_MS;
+  
+  if (inWindow && now - previous.issuedAt < EMAIL_CODE_RESEND_MS) {
+    return { rejection: 'A code was sent less than a minute ago, please check your inbox' };
+  }
+  if (inWindow && (previous.codesIssued >= EMAIL_CODES_PER_WINDOW || previous.attempts >= EMAIL_CODE_MAX_ATTEMPTS)) {
+    return { rejection: 'Too many codes requested, please try again later' };
+  }
+  
+  const code = generateEmailCode();
+  return {
+    code,
+    pending: {
+      codeHash: hashEmailCode(code),
+      expiresAt: new Date(now.getTime() + EMAIL_CODE_TTL_MS),
+      attempts: inWindow ? previous.attempts : 0,
+      issuedAt: now,
+      windowStartedAt: inWindow ? previous.windowStartedAt : now,
+      codesIssued: inWindow ? previous.codesIssued + 1 : 1
+    }
+  };
+}
+
+// Compare a code against a pending emailed code, counting failed attempts.
+// Returns null on success, otherwise the reason it was rejected.
+function checkEmailCode(pending, code, label, now) {
+  if (now > pending.expiresAt) {
+    return `${label} has expired`;
+  }
+  if (pending.attempts >= EMAIL_CODE_MAX_ATTEMPTS) {
+    return 'Too many incorrect attempts, please try again later';
+  }
+  
+  const expected = Buffer.from(pending.codeHash, 'hex');
+  const actual = Buffer.from(hashEmailCode(code), 'hex');
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    pending.attempts += 1;
+    return `Incorrect ${label.toLowerCase()}`;
+  }
+  
+  return null;
+}
+
+// License Schema
+const licenseSchema = new mongoose.Schema({
+  licenseKey: { type: String, required: true, unique: true },
+  // Imported giveaway keys may not be tied to a customer yet
+  customerEmail: { type: String, required: function () { return this.source !== 'import'; } },
+  customerName: { type: String },
+  stripeCustomerId: { type: String },
+  stripeSubscriptionId: { type: String },
+  stripeSessionId: { type: String },
+  plan: { type: String, default: 'monthly' },
+  source: { type: String, enum: ['stripe', 'admin', 'import', 'trial', 'coupon', 'team'], default: 'stripe' },
+  notes: { type: String },
+  // Set for keys whose expiry clock starts on first validation
+  durationMonths: { type: Number },
+  createdAt: { type: Date, default: Date.now },
+  activatedAt: { type: Date },
+  expiresAt: { type: Date, required: function () { return !this.durationMonths; } },
+  isActive: { type: Boolean, default: true },
+  // Why the license was last switched off, other than by a billing block.
+  // Only 'expired' and 'subscription-ended' licenses may be revived by a coupon.
+  deactivatedReason: { type: String, enum: ['expired', 'subscription-ended', 'admin', 'team'] },
+  devices: { type: [deviceSchema], default: [] },
+  // Overrides the plan's seat limit when set
+  maxDevices: { type: Number },
+  // Overrides individual plan entitlements, e.g. { summariesPerDay: 500 }
+  entitlementOverrides: { type: mongoose.Schema.Types.Mixed },
+  pendingTransfer: { type: pendingTransferSchema },
+  portalVerification: { type: emailCodeSchema },
+  cancelAtPeriodEnd: { type: Boolean, default: false },
+  // When the subscription ended, for churn reporting
+  canceledAt: { type: Date },
+  transfers: { type: [transferSchema], default: [] },
+  expiryReminders: { type: [expiryReminderSchema], default: [] },
+  dunning: { type: dunningSchema },
+  billingStatus: { type: String, enum: BILLING_STATUSES, default: 'active' },
+  refunds: { type: [refundSchema], default: [] },
+  dispute: { type: disputeSchema },
+  trial: { type: trialSchema },
+  teamMembership: { type: teamMembershipSchema },
+  // Legacy single-device binding, migrated into `devices` on first use
+  deviceId: { type: String },
+  deviceName: { type: String },
+  lastValidated: { type: Date },
+  validationCount: { type: Number, default: 0 }
+});
+
+licenseSchema.index({ 'devices.deviceId': 1 });
+licenseSchema.index({ 'teamMembership.team': 1 });
+// Enforce one trial per device and per email, even under concurrent requests
+licenseSchema.index({ 'trial.deviceId': 1 }, { unique: true, partialFilterExpression: { 'trial.deviceId': { $exists: true } } });
+licenseSchema.index({ 'trial.email': 1 }, { unique: true, partialFilterExpression: { 'trial.email': { $exists: true } } });
+
+// A license with a duration but no expiry has never been validated
+licenseSchema.virtual('isPendingActivation').get(function () {
+  return !this.expiresAt && !!this.durationMonths;
+});
+
+// Start the expiry clock for an unactivated license
+licenseSchema.methods.activate = function (now = new Date()) {
+  const expiresAt = new Date(now);
+  expiresAt.setMonth(expiresAt.getMonth() + this.durationMonths);
+  
+  this.activatedAt = now;
+  this.expiresAt = expiresAt;
+  return this;
+};
+
+// Move a legacy deviceId/deviceName binding into the devices array
+licenseSchema.methods.migrateLegacyDevice = function () {
+  if (this.deviceId) {
+    if (!this.devices.some(device => device.deviceId === this.deviceId)) {
+      this.devices.push({
+        deviceId: this.deviceId,
+        deviceName: this.deviceName,
+        activatedAt: this.lastValidated || this.createdAt,
+        lastSeenAt: this.lastValidated || this.createdAt
+      });
+    }
+    this.deviceId = undefined;
+    this.deviceName = undefined;
+  }
+  return this;
+};
+
+licenseSchema.methods.getSeatLimit = function () {
+  if (this.maxDevices) {
+    return this.maxDevices;
+  }
+  return (getPlan(this.plan) || getPlan(DEFAULT_PLAN)).maxDevices;
+};
+
+// The plan's features and limits with this license's overrides applied
+licenseSchema.methods.getEntitlements = function () {
+  return resolveEntitlements(getPlan(this.plan) || getPlan(DEFAULT_PLAN), this.entitlementOverrides || {});
+};
+
+licenseSchema.methods.getSeatUsage = function () {
+  const limit = this.getSeatLimit();
+  const used = this.devices.length;
+  return {
+    seatsUsed: used,
+    seatLimit: limit,
+    seatsRemaining: Math.max(limit - used, 0)
+  };
+};
+
+licenseSchema.methods.findDevice = function (deviceId) {
+  return this.devices.find(device => device.deviceId === deviceId) || null;
+};
+
+// Register a device or refresh it if already registered.
+// Returns false when every seat is taken by other devices.
+licenseSchema.methods.addDevice = function (deviceId, deviceName, now = new Date()) {
+  const existing = this.findDevice(deviceId);
+  if (existing) {
+    existing.lastSeenAt = now;
+    if (deviceName) {
+      existing.deviceName = deviceName;
+    }
+    return true;
+  }
+  
+  if (this.devices.length >= this.getSeatLimit()) {
+    return false;
+  }
+  
+  this.devices.push({ deviceId, deviceName, activatedAt: now, lastSeenAt: now });
+  return true;
+};
+
+licenseSchema.methods.removeDevice = function (deviceId) {
+  const before = this.devices.length;
+  this.devices = this.devices.filter(device => device.deviceId !== deviceId);
+  return this.devices.length !== before;
+};
+
+// Free a device's seat at the customer's request. Returns false if the
+// device isn't activated on this license.
+licenseSchema.methods.deactivateDevice = function (deviceId, now = new Date()) {
+  if (!this.removeDevice(deviceId)) {
+    return false;
+  }
+  this.transfers.push({ fromDeviceId: deviceId, transferredAt: now });
+  return true;
+};
+
+// Transfers and deactivations in the last 30 days
+licenseSchema.methods.countRecentTransfers = function (now = new Date()) {
+  return this.transfers.filter(transfer => now - transfer.transferredAt < TRANSFER_WINDOW_MS).length;
+};
+
+// Start a device transfer. Returns { code } with the plain confirmation
+// code to email, or { rejection } when codes are being requested too often.
+// Without an explicit device to replace, the least recently seen one is freed.
+licenseSchema.methods.startTransfer = function (deviceId, deviceName, replaceDeviceId, now = new Date()) {
+  const { code, pending, rejection } = issueEmailCode(this.pendingTransfer, now);
+  if (rejection) {
+    return { rejection };
+  }
+  
+  if (!replaceDeviceId && this.devices.length >= this.getSeatLimit()) {
+    const stalest = [...this.devices].sort((a, b) => a.lastSeenAt - b.lastSeenAt)[0];
+    replaceDeviceId = stalest?.deviceId;
+  }
+  
+  this.pendingTransfer = { deviceId, deviceName, replaceDeviceId, ...pending };
+  return { code };
+};
+
+// Check a confirmation code against the pending transfer.
+// Returns null on success, otherwise the reason it was rejected.
+licenseSchema.methods.verifyTransferCode = function (deviceId, code, now = new Date()) {
+  const pending = this.pendingTransfer;
+  
+  if (!pending || pending.deviceId !== deviceId) {
+    return 'No transfer is pending for this device';
+  }
+  return checkEmailCode(pending, code, 'Transfer code', now);
+};
+
+// Move the seat held by the replaced device to the new device. Returns
+// { replacedDeviceId }, or { rejection } when the seats filled up again
+// since the transfer was requested; the pending transfer is dropped either way.
+licenseSchema.methods.completeTransfer = function (now = new Date()) {
+  const { deviceId, deviceName, replaceDeviceId } = this.pendingTransfer;
+  const devices = [...this.devices];
+  this.pendingTransfer = undefined;
+  
+  if (replaceDeviceId) {
+    this.removeDevice(replaceDeviceId);
+  }
+  if (!this.addDevice(deviceId, deviceName, now)) {
+    this.devices = devices;
+    return { rejection: 'Every seat is in use again, please request a new transfer' };
+  }
+  this.transfers.push({ fromDeviceId: replaceDeviceId, toDeviceId: deviceId, transferredAt: now });
+  
+  return { replacedDeviceId: replaceDeviceId };
+};
+
+// Start billing portal verification. Returns { code } with the plain code
+// to email, or { rejection } when codes are being requested too often.
+licenseSchema.methods.startPortalVerification = function (now = new Date()) {
+  const { code, pending, rejection } = issueEmailCode(this.portalVerification, now);
+  if (rejection) {
+    return { rejection };
+  }
+  
+  this.portalVerification = pending;
+  return { code };
+};
+
+// Check a billing portal code; a code can only be used once
+licenseSchema.methods.verifyPortalCode = function (code, now = new Date()) {
+  if (!this.portalVerification) {
+    return 'No verification code was requested';
+  }
+  
+  const rejection = checkEmailCode(this.portalVerification, code, 'Verification code', now);
+  if (!rejection) {
+    this.portalVerification = undefined;
+  }
+  return rejection;
+};
+
+// Whether a billing problem, rather than expiry or an admin, has the
+// license switched off
+licenseSchema.methods.isBillingBlocked = function () {
+  return BLOCKING_BILLING_STATUSES.includes(this.billingStatus);
+};
+
+// Whether the license is off only because its time ran out, so adding
+// time may switch it back on
+licenseSchema.methods.isLapsed = function () {
+  return !this.isActive && !this.isBillingBlocked() && ['expired', 'subscription-ended'].includes(this.deactivatedReason);
+};
+
+// A renewal payment failed; the license keeps working while Stripe retries
+licenseSchema.methods.markPastDue = function () {
+  if (this.billingStatus === 'active') {
+    this.billingStatus = 'past_due';
+  }
+};
+
+licenseSchema.methods.markPaid = function () {
+  if (this.billingStatus === 'past_due') {
+    this.billingStatus = 'active';
+  }
+  this.dunning = undefined;
+};
+
+// Apply the cumulative refunded amount of a charge. A full refund revokes
+// the license; a partial one takes the refunded share of one plan period
+// off the expiry date. Returns 'revoked', 'shortened', 'unchanged' or null
+// when this refund was already applied.
+licenseSchema.methods.applyRefund = function (chargeId, amountRefunded, amountCharged, now = new Date()) {
+  const previous = this.refunds.find(refund => refund.chargeId === chargeId);
+  const newlyRefunded = amountRefunded - (previous ? previous.amountRefunded : 0);
+  if (newlyRefunded <= 0) {
+    return null;
+  }
+  
+  if (previous) {
+    previous.amountRefunded = amountRefunded;
+    previous.refundedAt = now;
+  } else {
+    this.refunds.push({ chargeId, amountRefunded, refundedAt: now });
+  }
+  
+  const plan = getPlan(this.plan);
+  if (amountRefunded < amountCharged) {
+    // Lifetime licenses and unactivated keys have no period to shorten
+    if (!plan?.durationDays || !this.expiresAt) {
+      return 'unchanged';
+    }
+    
+    const shortenMs = plan.durationDays * DAY_MS * (newlyRefunded / amountCharged);
+    this.expiresAt = new Date(this.expiresAt.getTime() - shortenMs);
+    if (this.expiresAt > now) {
+      return 'shortened';
+    }
+  }
+  
+  this.isActive = false;
+  this.billingStatus = 'refunded';
+  return 'revoked';
+};
+
+// Suspend the license while a chargeback is open
+licenseSchema.methods.openDispute = function (disputeId, now = new Date()) {
+  if (this.dispute && this.dispute.disputeId === disputeId && !this.dispute.closedAt) {
+    return false;
+  }
+  
+  this.dispute = { disputeId, wasActive: this.isActive, openedAt: now };
+  this.isActive = false;
+  this.billingStatus = 'disputed';
+  return true;
+};
+
+// Restore the license when a dispute closes any way but lost (won,
+// prevented, warning_closed); a lost one leaves it revoked as a chargeback
+licenseSchema.methods.closeDispute = function (disputeId, status, now = new Date()) {
+  if (!this.dispute || this.dispute.disputeId !== disputeId || this.dispute.closedAt) {
+    return false;
+  }
+  
+  this.dispute.closedAt = now;
+  this.dispute.status = status;
+  
+  if (status === 'lost') {
+    this.billingStatus = 'chargeback';
+  } else {
+    this.billingStatus = 'active';
+    this.isActive = !!this.dispute.wasActive && (!this.expiresAt || this.expiresAt > now);
+  }
+  return true;
+};
+
+// Turn a trial into a paid license, keeping its key and devices
+licenseSchema.methods.convertTrial = function (plan, { stripeCustomerId, stripeSubscriptionId, stripeSessionId, expiresAt }, now = new Date()) {
+  this.plan = plan.id;
+  this.source = 'stripe';
+  this.stripeCustomerId = stripeCustomerId;
+  this.stripeSubscriptionId = stripeSubscriptionId;
+  this.stripeSessionId = stripeSessionId;
+  this.expiresAt = expiresAt;
+  this.isActive = true;
+  this.billingStatus = 'active';
+  this.trial.convertedAt = now;
+};
+
+// Billing methods teams share with licenses (see models/Team.js)
+export const BILLING_METHODS = ['isBillingBlocked', 'markPastDue', 'markPaid', 'applyRefund', 'openDispute', 'closeDispute'];
+
+const License = mongoose.model('License', licenseSchema);
+
+export default License;
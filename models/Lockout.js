@@ -0,0 +1,18 @@
+import mongoose from 'mongoose';
+
+// Repeated invalid-key attempts from one client, used for escalating lockouts
+const lockoutSchema = new mongoose.Schema({
+  _id: { type: String },
+  failures: { type: Number, default: 0 },
+  // How many times this client has been locked out, drives the escalation
+  lockouts: { type: Number, default: 0 },
+  lockedUntil: { type: Date },
+  lastFailureAt: { type: Date },
+  expiresAt: { type: Date, required: true }
+}, { versionKey: false });
+
+lockoutSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Lockout = mongoose.model('Lockout', lockoutSchema);
+
+export default Lockout;
@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+
+// An outgoing email, kept until delivered so transport hiccups are retried
+const outboxMessageSchema = new mongoose.Schema({
+  to: { type: [String], required: true },
+  from: { type: String, required: true },
+  subject: { type: String, required: true },
+  // Cleared once sent
+  text: { type: String },
+  html: { type: String },
+  template: { type: String },
+  // pending -> sending -> sent, or failed once every attempt is used up
+  status: { type: String, enum: ['pending', 'sending', 'sent', 'failed'], default: 'pending' },
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, default: 8 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  // A crashed sender releases its claim once this passes
+  lockedUntil: { type: Date },
+  lastError: { type: String },
+  transport: { type: String },
+  providerMessageId: { type: String },
+  createdAt: { type: Date, default: Date.now },
+  sentAt: { type: Date }
+});
+
+outboxMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+// Delivered messages are only kept for a month
+outboxMessageSchema.index(
+  { sentAt: 1 },
+  { expireAfterSeconds: 30 * 24 * 60 * 60, partialFilterExpression: { status: 'sent' } }
+);
+
+const OutboxMessage = mongoose.model('OutboxMessage', outboxMessageSchema);
+
+export default OutboxMessage;
@@ -0,0 +1,15 @@
+import mongoose from 'mongoose';
+
+// Hit counters shared by every instance when rate limits use the Mongo store
+const rateLimitHitSchema = new mongoose.Schema({
+  _id: { type: String },
+  hits: { type: Number, default: 0 },
+  resetTime: { type: Date, required: true }
+}, { versionKey: false });
+
+// Let MongoDB drop windows once they have ended
+rateLimitHitSchema.index({ resetTime: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimitHit = mongoose.model('RateLimitHit', rateLimitHitSchema);
+
+export default RateLimitHit;
@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+import License, { BILLING_STATUSES, BILLING_METHODS, refundSchema, disputeSchema } from './License.js';
+
+// A multi-seat purchase. The owner manages seats with the team key; each
+// member gets their own License pointing back here.
+const teamSchema = new mongoose.Schema({
+  teamKey: { type: String, required: true, unique: true },
+  name: { type: String },
+  ownerEmail: { type: String, required: true },
+  ownerName: { type: String },
+  plan: { type: String, required: true },
+  seats: { type: Number, required: true, min: 1 },
+  stripeCustomerId: { type: String },
+  stripeSubscriptionId: { type: String, index: true },
+  stripeSessionId: { type: String },
+  expiresAt: { type: Date, required: true },
+  isActive: { type: Boolean, default: true },
+  cancelAtPeriodEnd: { type: Boolean, default: false },
+  canceledAt: { type: Date },
+  // Billing problems are tracked on the team and copied to every seat
+  billingStatus: { type: String, enum: BILLING_STATUSES, default: 'active' },
+  refunds: { type: [refundSchema], default: [] },
+  dispute: { type: disputeSchema },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Refunds, disputes and failed payments work the same as for a license
+for (const name of BILLING_METHODS) {
+  teamSchema.methods[name] = License.schema.methods[name];
+}
+
+const Team = mongoose.model('Team', teamSchema);
+
+export default Team;
@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+
+// One license validation or device lookup, kept for usage metrics
+const validationEventSchema = new mongoose.Schema({
+  type: { type: String, enum: ['validate', 'device-lookup'], required: true },
+  // valid, invalid, expired, inactive, device-limit, invalid-format or not-found
+  outcome: { type: String, required: true },
+  licenseKey: { type: String },
+  plan: { type: String },
+  deviceId: { type: String },
+  extensionVersion: { type: String },
+  // Country from the CDN when available and the IP truncated to its network
+  country: { type: String },
+  ipPrefix: { type: String },
+  createdAt: { type: Date, default: Date.now },
+  // Set from ANALYTICS_RETENTION_DAYS when recorded; MongoDB removes the
+  // event once this passes
+  expiresAt: { type: Date, required: true }
+});
+
+validationEventSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+validationEventSchema.index({ createdAt: 1, type: 1 });
+
+const ValidationEvent = mongoose.model('ValidationEvent', validationEventSchema);
+
+export default ValidationEvent;
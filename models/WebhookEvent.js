@@ -0,0 +1,23 @@
+import mongoose from 'mongoose';
+
+// Stripe webhook deliveries, keyed by event ID so retries are processed once
+const webhookEventSchema = new mongoose.Schema({
+  eventId: { type: String, required: true, unique: true },
+  type: { type: String, required: true },
+  status: { type: String, enum: ['processing', 'processed', 'failed'], default: 'processing' },
+  // The full Stripe event, kept so failed events can be replayed
+  payload: { type: mongoose.Schema.Types.Mixed, required: true },
+  error: { type: String },
+  attempts: { type: Number, default: 0 },
+  // End of the current processing claim; a record still processing after
+  // this was abandoned (crash, failed save) and may be claimed again
+  lockedUntil: { type: Date },
+  receivedAt: { type: Date, default: Date.now },
+  processedAt: { type: Date }
+});
+
+webhookEventSchema.index({ status: 1, receivedAt: -1 });
+
+const WebhookEvent = mongoose.model('WebhookEvent', webhookEventSchema);
+
+export default WebhookEvent;
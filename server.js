@@ -1,27 +1,80 @@
 import express from 'express';
 import Stripe from 'stripe';
 import { v4 as uuidv4 } from 'uuid';
-import Mailgun from 'mailgun.js';
-import formData from 'form-data';
 import cors from 'cors';
+import helmet from 'helmet';
+import compression from 'compression';
 import dotenv from 'dotenv';
 import mongoose from 'mongoose';
+import License from './models/License.js';
+import WebhookEvent from './models/WebhookEvent.js';
+import AuditLog from './models/AuditLog.js';
+import AdminUser, { ADMIN_ROLES } from './models/AdminUser.js';
+import { importGeneratedKeys } from './lib/key-import.js';
+import { snapshotLicense, diffSnapshots, recordAudit } from './lib/audit.js';
+import { requireAdmin, issueAdminSession } from './lib/admin-auth.js';
+import { createRateLimiter, lockoutGuard, recordFailure, clearFailures } from './lib/rate-limits.js';
+import { normalizeLicenseKey, isWellFormedLicenseKey, saveWithUniqueKey } from './lib/license-keys.js';
+import { issueLicenseToken, verifyLicenseToken, getPublicKeyInfo } from './lib/license-tokens.js';
+import { DEFAULT_PLAN, getPlan, getPlanPriceId, calculateExpiry, loadPlanCatalog, listPlans, resolveEntitlements, validateEntitlementOverrides } from './lib/plans.js';
+import { sendTemplateEmail, renderSample, listTemplates, hasTemplate } from './lib/email/index.js';
+import { resendMessage, startOutboxWorker } from './lib/email/outbox.js';
+import { getTransport } from './lib/email/transports.js';
+import { startScheduler, runJob, getJobStatus } from './lib/scheduler.js';
+import { LICENSE_JOBS } from './lib/license-jobs.js';
+import { generateCouponCode, normalizeCouponCode, redeemCoupon, getCampaignReports } from './lib/coupons.js';
+import Coupon from './models/Coupon.js';
+import CouponRedemption from './models/CouponRedemption.js';
+import Team from './models/Team.js';
+import { trackValidations, parseRange, getValidationVolume, getActiveLicenses, getSubscriptionMetrics, getCurrentMrr } from './lib/analytics.js';
+import { getDeviceBinding, bindDevice, unbindDevice, unbindLicense } from './lib/device-bindings.js';
+import { createTeam, getTeamSeatUsage, listTeamMembers, syncTeamSeats, setTeamSeats, inviteTeamMember, revokeTeamMember } from './lib/teams.js';
+import OutboxMessage from './models/OutboxMessage.js';
+import { ApiError, errorHandler, notFoundHandler } from './lib/errors.js';
+import { logger, configureLogger, requestLogger, withLogContext } from './lib/logger.js';
+import { loadConfig, isAllowedOrigin } from './lib/config.js';
+import { validate, requiredString, optionalString, requiredEmail, intField, optionalBoolean, optionalDate, oneOf, limitQuery } from './lib/validation.js';
 
 dotenv.config();
+configureLogger();
+
+// Refuse to start in production with missing or unsafe settings
+let config;
+try {
+  config = loadConfig();
+} catch (error) {
+  logger.error('Invalid configuration, refusing to start', { problems: error.problems });
+  process.exit(1);
+}
+for (const warning of config.warnings) {
+  logger.warn('Configuration warning', { warning });
+}
+
+// Fail at boot rather than at checkout if the plan catalog is broken
+loadPlanCatalog();
 
 const app = express();
 
+// Render terminates TLS in front of us; trust it so req.ip is the client
+app.set('trust proxy', 1);
+
+// Request IDs and access logs for every route, the webhook included
+app.use(requestLogger);
+
+// Security headers (HSTS, nosniff, frame denial, ...) and gzip. This is a
+// JSON API, so helmet's defaults need no exceptions.
+app.use(helmet());
+app.use(compression());
+
 // ==== CRITICAL: Define webhook endpoint FIRST ====
 // ================================================
 
 // Stripe webhook endpoint - MUST be defined BEFORE JSON parsers
 app.post('/api/webhook', 
-  // Use raw middleware for webhook endpoint
-  express.raw({type: 'application/json'}),
+  // Use raw middleware for webhook endpoint. Stripe events can be larger
+  // than our own request bodies, so they get a limit of their own.
+  express.raw({type: 'application/json', limit: '1mb'}),
   async (req, res) => {
-    console.log('🔍 DEBUG - Webhook received, body type:', typeof req.body);
-    console.log('🔍 DEBUG - Is Buffer?', Buffer.isBuffer(req.body));
-    
     const sig = req.headers['stripe-signature'];
     let event;
 
@@ -31,29 +84,31 @@ app.post('/api/webhook',
         sig, 
         process.env.STRIPE_WEBHOOK_SECRET
       );
-      console.log(`✅ Webhook received: ${event.type}`);
+      logger.info('Webhook received', { eventId: event.id, eventType: event.type });
     } catch (err) {
-      console.error(`❌ Webhook Error: ${err.message}`);
+      logger.warn('Webhook signature verification failed', { error: err.message });
       return res.status(400).send(`Webhook Error: ${err.message}`);
     }
 
-    // Handle the event
-    switch (event.type) {
-      case 'checkout.session.completed':
-        const session = event.data.object;
-        await handleSuccessfulPayment(session);
-        break;
-      case 'invoice.paid':
-        const invoice = event.data.object;
-        await handleInvoicePayment(invoice);
-        break;
-      case 'customer.subscription.updated':
-      case 'customer.subscription.deleted':
-        const subscription = event.data.object;
-        await handleSubscriptionUpdate(subscription);
-        break;
-      default:
-        console.log(`ℹ️ Unhandled event type ${event.type}`);
+    // Stripe retries deliveries, so only act on events we haven't handled yet
+    let record;
+    try {
+      record = await claimWebhookEvent(event);
+    } catch (err) {
+      logger.error('Could not record webhook event', { eventId: event.id, error: err });
+      return res.status(500).json({received: false, error: 'Could not record event', code: 'WEBHOOK_RECORD_FAILED'});
+    }
+    
+    if (!record) {
+      logger.info('Skipping duplicate webhook event', { eventId: event.id });
+      return res.json({received: true, duplicate: true});
+    }
+    
+    try {
+      await processWebhookEvent(record);
+    } catch (err) {
+      // Non-2xx makes Stripe retry the delivery
+      return res.status(500).json({received: false, error: 'Webhook handler failed', code: 'WEBHOOK_FAILED'});
     }
 
     res.json({received: true});
@@ -63,405 +118,598 @@ app.post('/api/webhook',
 // ==== NOW add regular middleware for all other routes ====
 // =========================================================
 
-// CORS configuration
+// CORS: only origins in CORS_ORIGINS and the extensions listed in
+// CHROME_EXTENSION_IDS (chrome-extension://<id>). Requests without an
+// Origin header (the extension's background worker, curl) aren't affected.
 const corsOptions = {
-  origin: process.env.CORS_ORIGINS ? process.env.CORS_ORIGINS.split(',') : '*',
+  origin: (origin, callback) => callback(null, !origin || isAllowedOrigin(config, origin)),
   credentials: true,
   optionsSuccessStatus: 200
 };
 app.use(cors(corsOptions));
 
 // JSON body parser for all other routes (AFTER webhook)
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+app.use(express.json({ limit: config.bodyLimit }));
+app.use(express.urlencoded({ extended: true, limit: config.bodyLimit }));
 
 // Initialize Stripe
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 
-// Initialize Mailgun
-const mailgun = new Mailgun(formData);
-const mg = mailgun.client({
-  username: 'api',
-  key: process.env.MAILGUN_API_KEY
-});
-
 // Connect to MongoDB
 mongoose.connect(process.env.MONGODB_URI, {
   useNewUrlParser: true,
   useUnifiedTopology: true,
   serverSelectionTimeoutMS: 5000,
 }).then(() => {
-  console.log('✅ Connected to MongoDB Atlas');
+  logger.info('Connected to MongoDB');
+  startOutboxWorker(parseInt(process.env.OUTBOX_POLL_SECONDS || '60', 10) * 1000);
+  startScheduler(LICENSE_JOBS);
 }).catch(err => {
-  console.error('❌ MongoDB connection error:', err.message);
-});
-
-// License Schema
-const licenseSchema = new mongoose.Schema({
-  licenseKey: { type: String, required: true, unique: true },
-  customerEmail: { type: String, required: true },
-  customerName: { type: String },
-  stripeCustomerId: { type: String },
-  stripeSubscriptionId: { type: String },
-  stripeSessionId: { type: String },
-  plan: { type: String, default: 'monthly' },
-  createdAt: { type: Date, default: Date.now },
-  expiresAt: { type: Date, required: true },
-  isActive: { type: Boolean, default: true },
-  deviceId: { type: String },
-  deviceName: { type: String },
-  lastValidated: { type: Date },
-  validationCount: { type: Number, default: 0 }
-});
-
-const License = mongoose.model('License', licenseSchema);
-
-// Store device mappings temporarily (in production, store in MongoDB)
-const deviceMappings = new Map();
-
-// Generate a license key
-function generateLicenseKey() {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-  const generatePart = () => {
-    let part = '';
-    for (let i = 0; i < 4; i++) {
-      part += chars.charAt(Math.floor(Math.random() * chars.length));
-    }
-    return part;
+  logger.error('MongoDB connection error', { error: err.message });
+});
+
+// How long a claim on a webhook event lasts. Stripe gives up on a
+// delivery after 20 seconds, so this is generous.
+const WEBHOOK_LEASE_MS = 5 * 60 * 1000;
+
+// Events that failed, or whose processing claim has run out
+function reclaimableWebhookFilter(now) {
+  return {
+    $or: [
+      { status: 'failed' },
+      { status: 'processing', lockedUntil: { $not: { $gt: now } } }
+    ]
   };
+}
+
+// Claim a recorded event matching `filter` for processing, or return null
+function leaseWebhookEvent(eventId, filter, now = new Date()) {
+  return WebhookEvent.findOneAndUpdate(
+    { eventId, ...filter },
+    { status: 'processing', lockedUntil: new Date(now.getTime() + WEBHOOK_LEASE_MS) },
+    { new: true }
+  );
+}
+
+// Record a webhook event and claim it for processing.
+// Returns null if the event was already processed or is in progress.
+async function claimWebhookEvent(event) {
+  const now = new Date();
   
-  // Create base key
-  let key = 'SORV-' + generatePart() + '-' + generatePart() + '-' + generatePart() + '-' + generatePart();
+  try {
+    return await WebhookEvent.create({
+      eventId: event.id,
+      type: event.type,
+      payload: event,
+      lockedUntil: new Date(now.getTime() + WEBHOOK_LEASE_MS)
+    });
+  } catch (err) {
+    if (err.code !== 11000) {
+      throw err;
+    }
+  }
   
-  // Add type prefix
-  const fullKey = 'MONTH-' + key;
+  // Seen before: only take it again if the last attempt failed or was
+  // abandoned mid-way
+  return leaseWebhookEvent(event.id, reclaimableWebhookFilter(now), now);
+}
+
+// Run the handler for a claimed event and record the outcome. Everything
+// logged while handling it carries the Stripe event ID.
+async function processWebhookEvent(record) {
+  const event = record.payload;
+  record.attempts += 1;
   
-  return fullKey;
+  try {
+    await withLogContext({ eventId: event.id, eventType: event.type }, () => dispatchWebhookEvent(event));
+    record.status = 'processed';
+    record.error = undefined;
+    record.processedAt = new Date();
+    record.lockedUntil = undefined;
+    await record.save();
+  } catch (error) {
+    logger.error('Webhook event failed', { eventId: event.id, eventType: event.type, error });
+    record.status = 'failed';
+    record.error = error.message;
+    record.lockedUntil = undefined;
+    await record.save();
+    throw error;
+  }
+}
+
+async function dispatchWebhookEvent(event) {
+  switch (event.type) {
+    case 'checkout.session.completed':
+      await handleSuccessfulPayment(event.data.object);
+      break;
+    case 'invoice.paid':
+      await handleInvoicePayment(event.data.object);
+      break;
+    case 'invoice.payment_failed':
+      await handlePaymentFailed(event.data.object);
+      break;
+    case 'customer.subscription.updated':
+    case 'customer.subscription.deleted':
+    case 'customer.subscription.paused':
+    case 'customer.subscription.resumed':
+      await handleSubscriptionUpdate(event.data.object);
+      break;
+    case 'charge.refunded':
+      await handleChargeRefunded(event.data.object);
+      break;
+    case 'charge.dispute.created':
+    case 'charge.dispute.closed':
+      await handleDispute(event.data.object, event.type);
+      break;
+    default:
+      logger.info('Unhandled webhook event type');
+  }
 }
 
 async function handleSuccessfulPayment(session) {
   try {
-    console.log('✅ Processing successful payment:', session.id);
+    logger.info('Processing successful payment', { sessionId: session.id });
+    
+    // A replayed event must not mint a second license
+    const existing = await License.findOne({ stripeSessionId: session.id });
+    if (existing) {
+      logger.info('License already issued for session', { sessionId: session.id });
+      return;
+    }
     
     const customerEmail = session.customer_details.email;
     const customerName = session.customer_details.name || customerEmail.split('@')[0];
     const customerId = session.customer;
     const subscriptionId = session.subscription;
+    const plan = getPlan(session.metadata?.plan) || getPlan(DEFAULT_PLAN);
+    
+    // Team purchases get a team to invite members to instead of a license
+    if (session.metadata?.team_seats) {
+      await handleTeamPurchase(session, plan);
+      return;
+    }
+    
+    // Calculate expiration date from the plan bought
+    const expiresAt = calculateExpiry(plan);
     
-    // Generate license key
-    const licenseKey = generateLicenseKey();
+    // A trial bought with the same email keeps its key
+    const trialLicense = await License.findOne({
+      'trial.email': customerEmail.trim().toLowerCase(),
+      'trial.convertedAt': null
+    });
     
-    // Calculate expiration date (30 days from now for monthly)
-    const expiresAt = new Date();
-    expiresAt.setDate(expiresAt.getDate() + 30);
+    if (trialLicense) {
+      trialLicense.convertTrial(plan, {
+        stripeCustomerId: customerId,
+        stripeSubscriptionId: subscriptionId,
+        stripeSessionId: session.id,
+        expiresAt: expiresAt
+      });
+      await trialLicense.save();
+      logger.info('Converted trial', { licenseKey: trialLicense.licenseKey, plan: plan.id });
+      
+      await sendLicenseEmail(customerEmail, trialLicense.customerName || customerName, trialLicense.licenseKey, {
+        plan: plan.id,
+        amount: session.amount_total,
+        currency: session.currency
+      });
+      return;
+    }
     
-    // Save to MongoDB
+    // Save to MongoDB under a freshly generated key
     const license = new License({
-      licenseKey: licenseKey,
       customerEmail: customerEmail,
       customerName: customerName,
       stripeCustomerId: customerId,
       stripeSubscriptionId: subscriptionId,
       stripeSessionId: session.id,
-      plan: 'monthly',
+      plan: plan.id,
       expiresAt: expiresAt,
       isActive: true
     });
     
-    await license.save();
-    console.log(`✅ License saved to database: ${licenseKey}`);
+    await saveWithUniqueKey(license, plan.keyPrefix);
+    const licenseKey = license.licenseKey;
+    logger.info('License created', { licenseKey, plan: plan.id });
     
     // Send license email via Mailgun
-    await sendLicenseEmail(customerEmail, customerName, licenseKey);
-    
-    console.log(`✅ License key sent to ${customerEmail}: ${licenseKey}`);
-    
-  } catch (error) {
-    console.error('❌ Error handling successful payment:', error);
-  }
-}
-
-async function sendLicenseEmail(customerEmail, customerName, licenseKey) {
-  try {
-    const domain = process.env.MAILGUN_DOMAIN || 'email.sorvide.com';
-    const fromEmail = process.env.FROM_EMAIL || `noreply@${domain}`;
-    
-    // Create a simpler, more compact HTML email
-    const html = `
-<!DOCTYPE html>
-<html>
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>Your Sorvide Pro License Key</title>
-</head>
-<body style="margin:0;padding:0;background:#f5f7fa;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;">
-  <center>
-    <table width="100%" cellpadding="0" cellspacing="0" border="0" bgcolor="#f5f7fa">
-      <tr>
-        <td align="center" style="padding:20px 0;">
-          <table width="650" cellpadding="0" cellspacing="0" border="0" bgcolor="#ffffff" style="max-width:650px;width:100%;border-radius:0;box-shadow:0 2px 8px rgba(0,0,0,0.1);">
-            <!-- HEADER -->
-            <tr>
-              <td bgcolor="#4a4fd8" style="padding:50px 30px;background:linear-gradient(135deg,#4a4fd8,#2a2d7d);color:#ffffff;text-align:center;">
-                <h1 style="margin:0 0 15px 0;font-size:32px;font-weight:700;">Welcome to Sorvide Pro</h1>
-                <p style="margin:0;font-size:18px;opacity:0.95;">Your monthly subscription is now active</p>
-              </td>
-            </tr>
-            
-            <!-- MAIN CONTENT -->
-            <tr>
-              <td style="padding:40px 40px 30px 40px;">
-                <!-- GREETING -->
-                <p style="font-size:18px;color:#2d3748;margin:0 0 20px 0;font-weight:500;">Hi ${customerName || 'there'},</p>
-                <p style="color:#4a5568;font-size:16px;line-height:1.6;margin:0 0 30px 0;">Thank you for subscribing to Sorvide Pro. Your license key is ready and all Pro features are ready to be unlocked.</p>
-                
-                <!-- LICENSE KEY -->
-                <table width="100%" cellpadding="0" cellspacing="0" border="0" style="margin:0 0 16px 0;background:#f8fafc;border:2px solid #e2e8f0;border-radius:8px;">
-                  <tr>
-                    <td style="padding:30px;text-align:center;">
-                      <div style="font-size:14px;color:#718096;text-transform:uppercase;letter-spacing:1px;margin:0 0 20px 0;font-weight:600;">Your License Key</div>
-                      <div style="font-family:'SF Mono',Monaco,'Courier New',monospace;font-size:22px;font-weight:700;color:#2d3748;background:#ffffff;padding:20px;border-radius:6px;border:2px solid #e2e8f0;word-break:break-all;letter-spacing:0.5px;">${licenseKey}</div>
-                    </td>
-                  </tr>
-                </table>
-                
-                <!-- ACTIVATION STEPS -->
-                <h2 style="font-size:22px;color:#2d3748;margin:0 0 25px 0;padding-bottom:12px;border-bottom:2px solid #e2e8f0;font-weight:600;">How to Activate Pro Features</h2>
-                
-                <!-- Step 1 -->
-                <table width="100%" cellpadding="0" cellspacing="0" border="0" style="margin:0 0 20px 0;background:#f8fafc;border:1px solid #e2e8f0;border-radius:8px;">
-                  <tr>
-                    <td style="padding:20px;">
-                      <div style="display:inline-block;width:32px;height:32px;background:#4a4fd8;color:#ffffff;border-radius:6px;font-size:16px;font-weight:700;text-align:center;line-height:32px;margin-right:15px;vertical-align:top;">1</div>
-                      <div style="display:inline-block;width:calc(100% - 55px);">
-                        <div style="font-size:16px;color:#2d3748;margin:0 0 5px 0;font-weight:600;">Open the Sorvide Chrome Extension</div>
-                        <div style="color:#718096;font-size:14px;line-height:1.5;margin:0;">Click the Sorvide icon in your browser toolbar to open the extension</div>
-                      </div>
-                    </td>
-                  </tr>
-                </table>
-                
-                <!-- Step 2 -->
-                <table width="100%" cellpadding="0" cellspacing="0" border="0" style="margin:0 0 20px 0;background:#f8fafc;border:1px solid #e2e8f0;border-radius:8px;">
-                  <tr>
-                    <td style="padding:20px;">
-                      <div style="display:inline-block;width:32px;height:32px;background:#4a4fd8;color:#ffffff;border-radius:6px;font-size:16px;font-weight:700;text-align:center;line-height:32px;margin-right:15px;vertical-align:top;">2</div>
-                      <div style="display:inline-block;width:calc(100% - 55px);">
-                        <div style="font-size:16px;color:#2d3748;margin:0 0 5px 0;font-weight:600;">Click "Activate Pro"</div>
-                        <div style="color:#718096;font-size:14px;line-height:1.5;margin:0;">Find and click the "Activate Pro" button in the bottom status bar of the extension</div>
-                      </div>
-                    </td>
-                  </tr>
-                </table>
-                
-                <!-- Step 3 -->
-                <table width="100%" cellpadding="0" cellspacing="0" border="0" style="margin:0 0 20px 0;background:#f8fafc;border:1px solid #e2e8f0;border-radius:8px;">
-                  <tr>
-                    <td style="padding:20px;">
-                      <div style="display:inline-block;width:32px;height:32px;background:#4a4fd8;color:#ffffff;border-radius:6px;font-size:16px;font-weight:700;text-align:center;line-height:32px;margin-right:15px;vertical-align:top;">3</div>
-                      <div style="display:inline-block;width:calc(100% - 55px);">
-                        <div style="font-size:16px;color:#2d3748;margin:0 0 5px 0;font-weight:600;">Enter Your License Key</div>
-                        <div style="color:#718096;font-size:14px;line-height:1.5;margin:0;">Copy and paste the license key from above into the activation dialog</div>
-                      </div>
-                    </td>
-                  </tr>
-                </table>
-                
-                <!-- Step 4 -->
-                <table width="100%" cellpadding="0" cellspacing="0" border="0" style="margin:0 0 40px 0;background:#f8fafc;border:1px solid #e2e8f0;border-radius:8px;">
-                  <tr>
-                    <td style="padding:20px;">
-                      <div style="display:inline-block;width:32px;height:32px;background:#4a4fd8;color:#ffffff;border-radius:6px;font-size:16px;font-weight:700;text-align:center;line-height:32px;margin-right:15px;vertical-align:top;">4</div>
-                      <div style="display:inline-block;width:calc(100% - 55px);">
-                        <div style="font-size:16px;color:#2d3748;margin:0 0 5px 0;font-weight:600;">Click "Activate License"</div>
-                        <div style="color:#718096;font-size:14px;line-height:1.5;margin:0;">Your Pro features will be activated immediately after clicking this button</div>
-                      </div>
-                    </td>
-                  </tr>
-                </table>
-                
-                <!-- PURCHASE DETAILS -->
-                <h2 style="font-size:22px;color:#2d3748;margin:0 0 25px 0;padding-bottom:12px;border-bottom:2px solid #e2e8f0;font-weight:600;">Purchase Details</h2>
-                
-                <table width="100%" cellpadding="0" cellspacing="0" border="0" style="margin:0 0 20px 0;">
-                  <tr>
-                    <td width="50%" style="padding-right:10px;vertical-align:top;">
-                      <table width="100%" cellpadding="0" cellspacing="0" border="0" style="background:#f8fafc;border:1px solid #e2e8f0;border-radius:8px;">
-                        <tr>
-                          <td style="padding:20px;">
-                            <div style="font-size:12px;color:#718096;text-transform:uppercase;letter-spacing:0.5px;margin:0 0 8px 0;font-weight:600;">Subscription Plan</div>
-                            <div style="font-size:16px;color:#2d3748;font-weight:600;">Sorvide Pro Monthly</div>
-                          </td>
-                        </tr>
-                      </table>
-                    </td>
-                    <td width="50%" style="padding-left:10px;vertical-align:top;">
-                      <table width="100%" cellpadding="0" cellspacing="0" border="0" style="background:#f8fafc;border:1px solid #e2e8f0;border-radius:8px;">
-                        <tr>
-                          <td style="padding:20px;">
-                            <div style="font-size:12px;color:#718096;text-transform:uppercase;letter-spacing:0.5px;margin:0 0 8px 0;font-weight:600;">Monthly Price</div>
-                            <div style="font-size:16px;color:#2d3748;font-weight:600;">$9.99 / month</div>
-                          </td>
-                        </tr>
-                      </table>
-                    </td>
-                  </tr>
-                </table>
-                
-                <table width="100%" cellpadding="0" cellspacing="0" border="0" style="margin:0 0 30px 0;">
-                  <tr>
-                    <td width="50%" style="padding-right:10px;vertical-align:top;">
-                      <table width="100%" cellpadding="0" cellspacing="0" border="0" style="background:#f8fafc;border:1px solid #e2e8f0;border-radius:8px;">
-                        <tr>
-                          <td style="padding:20px;">
-                            <div style="font-size:12px;color:#718096;text-transform:uppercase;letter-spacing:0.5px;margin:0 0 8px 0;font-weight:600;">Billing Cycle</div>
-                            <div style="font-size:16px;color:#2d3748;font-weight:600;">Monthly Recurring</div>
-                          </td>
-                        </tr>
-                      </table>
-                    </td>
-                    <td width="50%" style="padding-left:10px;vertical-align:top;">
-                      <table width="100%" cellpadding="0" cellspacing="0" border="0" style="background:#f8fafc;border:1px solid #e2e8f0;border-radius:8px;">
-                        <tr>
-                          <td style="padding:20px;">
-                            <div style="font-size:12px;color:#718096;text-transform:uppercase;letter-spacing:0.5px;margin:0 0 8px 0;font-weight:600;">License Duration</div>
-                            <div style="font-size:16px;color:#2d3748;font-weight:600;">30 Days (Auto-Renews)</div>
-                          </td>
-                        </tr>
-                      </table>
-                    </td>
-                  </tr>
-                </table>
-                
-                <p style="color:#718096;font-size:14px;text-align:center;margin:0 0 40px 0;">This email serves as your purchase confirmation and license activation receipt. Please save it for your records.</p>
-                
-                <!-- SUBSCRIPTION MANAGEMENT -->
-                <h2 style="font-size:22px;color:#2d3748;margin:0 0 25px 0;padding-bottom:12px;border-bottom:2px solid #e2e8f0;font-weight:600;">Subscription Management</h2>
-                
-                <table width="100%" cellpadding="0" cellspacing="0" border="0" style="margin:0 0 40px 0;background:#f8fafc;border:1px solid #e2e8f0;border-radius:8px;">
-                  <tr>
-                    <td style="padding:20px;">
-                      <div style="font-size:16px;color:#2d3748;margin:0 0 12px 0;font-weight:600;">Subscription Cancellations</div>
-                      <div style="color:#4a5568;font-size:14px;line-height:1.6;margin:0;">If you wish to cancel your Sorvide Pro subscription, please send an email to our subscription management team at license@sorvide.com. Cancellation requests are typically processed within 24 hours of receipt. You will receive a confirmation email once your cancellation has been processed.</div>
-                    </td>
-                  </tr>
-                </table>
-              </td>
-            </tr>
-            
-            <!-- FOOTER -->
-            <tr>
-              <td style="padding:30px 40px;text-align:center;border-top:1px solid #e2e8f0;">
-                <div style="color:#718096;font-size:14px;margin:0 0 15px 0;">© ${new Date().getFullYear()} Sorvide</div>
-                <div style="font-size:13px;">
-                  <a href="https://sorvide.com" style="color:#4a4fd8;text-decoration:none;margin:0 10px;">Website</a> | 
-                  <a href="mailto:support@sorvide.com" style="color:#4a4fd8;text-decoration:none;margin:0 10px;">Support</a> | 
-                  <a href="mailto:license@sorvide.com" style="color:#4a4fd8;text-decoration:none;margin:0 10px;">Subscriptions</a>
-                </div>
-              </td>
-            </tr>
-          </table>
-        </td>
-      </tr>
-    </table>
-  </center>
-</body>
-</html>
-    `;
-    
-    const text = `
-========================================================================
-                         WELCOME TO SORVIDE PRO
-========================================================================
-
-Hi ${customerName || 'there'},
-
-Thank you for subscribing to Sorvide Pro. Your license key is ready and all 
-Pro features are ready to be unlocked.
-
-========================================================================
-                         YOUR LICENSE KEY
-                         ${licenseKey}
-========================================================================
-
-HOW TO ACTIVATE PRO FEATURES
-----------------------------
-1. Open the Sorvide Chrome Extension
-   Click the Sorvide icon in your browser toolbar to open the extension
-
-2. Click "Activate Pro"
-   Find and click the "Activate Pro" button in the bottom status bar of the extension
-
-3. Enter Your License Key
-   Copy and paste the license key from above into the activation dialog
-
-4. Click "Activate License"
-   Your Pro features will be activated immediately after clicking this button
-
-PURCHASE DETAILS
-----------------
-• Subscription Plan: Sorvide Pro Monthly
-• Monthly Price: $9.99 / month
-• Billing Cycle: Monthly Recurring
-• License Duration: 30 Days (Auto-Renews)
-
-This email serves as your purchase confirmation and license activation receipt. 
-Please save it for your records.
-
-SUBSCRIPTION MANAGEMENT
------------------------
-If you wish to cancel your Sorvide Pro subscription, please send an email to our subscription management team at license@sorvide.com. Cancellation requests are typically processed within 24 hours of receipt. You will receive a confirmation email once your cancellation has been processed.
-
-========================================================================
-© ${new Date().getFullYear()} Sorvide
-Website: https://sorvide.com
-Support: support@sorvide.com
-Subscriptions: license@sorvide.com
-========================================================================
-    `;
-    
-    await mg.messages.create(domain, {
-      from: `Sorvide Pro <${fromEmail}>`,
-      to: [customerEmail],
-      subject: 'Your Sorvide Pro License Key & Activation Instructions',
-      text: text,
-      html: html
-    });
-    
-    console.log(`✅ License email sent to ${customerEmail}`);
-    
-  } catch (error) {
-    console.error('❌ Error sending license email:', error);
+    await sendLicenseEmail(customerEmail, customerName, licenseKey, {
+      plan: plan.id,
+      amount: session.amount_total,
+      currency: session.currency
+    });
+    
+    logger.info('License email sent', { licenseKey, email: customerEmail });
+    
+  } catch (error) {
+    logger.error('Error handling successful payment', { error });
+    throw error;
+  }
+}
+
+async function handleTeamPurchase(session, plan) {
+  const existing = await Team.findOne({ stripeSessionId: session.id });
+  if (existing) {
+    logger.info('Team already created for session', { sessionId: session.id });
+    return;
+  }
+  
+  const ownerEmail = session.customer_details.email;
+  const ownerName = session.customer_details.name || ownerEmail.split('@')[0];
+  const seats = parseInt(session.metadata.team_seats, 10);
+  
+  const team = await createTeam({
+    name: session.metadata.team_name || undefined,
+    ownerEmail: ownerEmail,
+    ownerName: ownerName,
+    plan: plan.id,
+    seats: seats,
+    stripeCustomerId: session.customer,
+    stripeSubscriptionId: session.subscription,
+    stripeSessionId: session.id,
+    expiresAt: calculateExpiry(plan)
+  });
+  logger.info('Team created', { teamKey: team.teamKey, seats });
+  
+  try {
+    await sendTemplateEmail(ownerEmail, 'team-created', {
+      ownerName: ownerName,
+      teamName: team.name,
+      teamKey: team.teamKey,
+      plan: plan.id,
+      seats: seats,
+      amount: session.amount_total,
+      currency: session.currency
+    });
+  } catch (error) {
+    logger.error('Error sending team email', { error });
   }
 }
 
+async function sendLicenseEmail(customerEmail, customerName, licenseKey, { plan = DEFAULT_PLAN, amount, currency } = {}) {
+  try {
+    await sendTemplateEmail(customerEmail, 'license-issued', {
+      customerName,
+      licenseKey,
+      plan,
+      amount,
+      currency
+    });
+    
+    logger.info('License email queued', { email: customerEmail });
+    
+  } catch (error) {
+    logger.error('Error sending license email', { error });
+  }
+}
+
+// Hide most of an email address, e.g. j***@example.com
+function maskEmail(email) {
+  const [name, domain] = email.split('@');
+  return `${name.charAt(0)}***@${domain}`;
+}
+
 async function handleInvoicePayment(invoice) {
   try {
-    console.log('✅ Invoice payment succeeded:', invoice.id);
+    logger.info('Invoice payment succeeded', { invoiceId: invoice.id });
     
-    // Find license by customer ID and extend expiration
-    const license = await License.findOne({ 
+    // Team subscriptions renew every seat together
+    const subscriptionId = invoiceSubscriptionId(invoice);
+    const team = subscriptionId && await Team.findOne({ stripeSubscriptionId: subscriptionId });
+    if (team) {
+      team.expiresAt = calculateExpiry(getPlan(team.plan) || getPlan(DEFAULT_PLAN));
+      team.markPaid();
+      if (!team.isBillingBlocked()) {
+        team.isActive = true;
+      }
+      await team.save();
+      const renewed = await syncTeamSeats(team);
+      logger.info('Renewed team', { teamKey: team.teamKey, seats: renewed });
+      return;
+    }
+    
+    // Match the subscription first: a license the expiry job switched off
+    // while the payment was being retried still has to be renewed.
+    // Licenses without a stored subscription fall back to the customer.
+    const license = (subscriptionId && await License.findOne({
+      stripeSubscriptionId: subscriptionId,
+      plan: { $ne: 'lifetime' }
+    })) || await License.findOne({ 
       stripeCustomerId: invoice.customer,
-      isActive: true 
+      isActive: true,
+      plan: { $ne: 'lifetime' }
     });
     
+    // Neither a billing block nor an admin revoke is undone by a payment
+    if (license && !license.isActive && (license.isBillingBlocked() || license.deactivatedReason === 'admin')) {
+      logger.info('Not renewing deactivated license', { licenseKey: license.licenseKey, billingStatus: license.billingStatus, deactivatedReason: license.deactivatedReason });
+      return;
+    }
+    
     if (license) {
-      // Extend license by 30 days
-      license.expiresAt = new Date();
-      license.expiresAt.setDate(license.expiresAt.getDate() + 30);
+      // Extend license by one billing period of its plan
+      license.expiresAt = calculateExpiry(getPlan(license.plan) || getPlan(DEFAULT_PLAN));
+      license.isActive = true;
+      license.markPaid();
       await license.save();
-      console.log(`✅ Extended license for customer ${invoice.customer}`);
+      logger.info('Extended license after renewal', { customerId: invoice.customer });
+      
+      // The first invoice is covered by the license email
+      if (invoice.billing_reason !== 'subscription_create') {
+        try {
+          await sendTemplateEmail(license.customerEmail, 'renewal-receipt', {
+            customerName: license.customerName,
+            licenseKey: license.licenseKey,
+            plan: license.plan,
+            amount: invoice.amount_paid,
+            currency: invoice.currency,
+            expiresAt: license.expiresAt,
+            invoiceUrl: invoice.hosted_invoice_url
+          });
+        } catch (error) {
+          logger.error('Error sending renewal receipt', { error });
+        }
+      }
+    }
+    
+  } catch (error) {
+    logger.error('Error handling invoice payment', { error });
+    throw error;
+  }
+}
+
+// Mark the license past due and start chasing the payment; the dunning
+// job sends the emails. The license keeps working while Stripe retries.
+async function handlePaymentFailed(invoice) {
+  try {
+    logger.warn('Invoice payment failed', { invoiceId: invoice.id });
+    
+    // Team seats keep working while Stripe retries, like licenses
+    const subscriptionId = invoiceSubscriptionId(invoice);
+    const team = await findSubscriptionTeam(subscriptionId);
+    if (team) {
+      team.markPastDue();
+      await team.save();
+      await syncTeamSeats(team);
+      logger.warn('Team is past due', { teamKey: team.teamKey });
+      return;
+    }
+    
+    const license = await findCustomerLicense(invoice.customer, subscriptionId, {
+      plan: { $ne: 'lifetime' }
+    });
+    
+    if (!license) {
+      return;
+    }
+    
+    const nextPaymentAttemptAt = invoice.next_payment_attempt
+      ? new Date(invoice.next_payment_attempt * 1000)
+      : null;
+    
+    // Stripe retries the same invoice; keep the sequence already running
+    if (license.dunning && license.dunning.invoiceId === invoice.id) {
+      license.dunning.nextPaymentAttemptAt = nextPaymentAttemptAt;
+    } else {
+      license.dunning = {
+        invoiceId: invoice.id,
+        startedAt: new Date(),
+        amount: invoice.amount_due,
+        currency: invoice.currency,
+        nextPaymentAttemptAt: nextPaymentAttemptAt,
+        emailsSent: 0
+      };
+    }
+    
+    const before = snapshotLicense(license);
+    license.markPastDue();
+    await license.save();
+    
+    await recordAudit(STRIPE_ACTOR, 'payment-failed', {
+      licenseKey: license.licenseKey,
+      changes: diffSnapshots(before, snapshotLicense(license)),
+      details: { invoiceId: invoice.id, amount: invoice.amount_due, attempt: invoice.attempt_count }
+    });
+    
+    logger.warn('License is past due', { licenseKey: license.licenseKey });
+    
+  } catch (error) {
+    logger.error('Error handling failed payment', { error });
+    throw error;
+  }
+}
+
+// Audit entries for changes made by Stripe webhooks
+const STRIPE_ACTOR = { adminActor: 'stripe' };
+
+// The subscription an invoice bills (moved under `parent` in newer Stripe
+// API versions)
+function invoiceSubscriptionId(invoice) {
+  const subscription = invoice?.subscription || invoice?.parent?.subscription_details?.subscription;
+  return typeof subscription === 'string' ? subscription : subscription?.id || null;
+}
+
+// The subscription a charge paid for, or null for one-off payments. Newer
+// Stripe API versions only link a charge to its invoice through the
+// charge's payment intent.
+async function chargeSubscriptionId(charge) {
+  let invoice = charge.invoice;
+  if (!invoice && charge.payment_intent) {
+    const payments = await stripe.invoicePayments.list({
+      payment: {
+        type: 'payment_intent',
+        payment_intent: typeof charge.payment_intent === 'string' ? charge.payment_intent : charge.payment_intent.id
+      },
+      expand: ['data.invoice'],
+      limit: 1
+    });
+    invoice = payments.data[0]?.invoice;
+  }
+  if (typeof invoice === 'string') {
+    invoice = await stripe.invoices.retrieve(invoice);
+  }
+  return invoiceSubscriptionId(invoice);
+}
+
+function findSubscriptionTeam(subscriptionId) {
+  return subscriptionId ? Team.findOne({ stripeSubscriptionId: subscriptionId }) : null;
+}
+
+// The team or license a charge paid for. Team seats have no subscription
+// of their own, so the charge's subscription is matched to teams first.
+async function findChargeTarget(charge) {
+  const subscriptionId = await chargeSubscriptionId(charge);
+  const team = await findSubscriptionTeam(subscriptionId);
+  if (team) {
+    return { team };
+  }
+  return { license: await findCustomerLicense(charge.customer, subscriptionId) };
+}
+
+// The license a Stripe payment is for: the one on its subscription when
+// that's known, otherwise the customer's most recent license matching `filter`
+async function findCustomerLicense(customerId, subscriptionId, filter = {}) {
+  if (subscriptionId) {
+    return License.findOne({ stripeSubscriptionId: subscriptionId, ...filter });
+  }
+  if (!customerId) {
+    return null;
+  }
+  return License.findOne({ stripeCustomerId: customerId, ...filter }).sort({ createdAt: -1 });
+}
+
+// Revoke or shorten the license (or team) by the refunded share of the charge
+async function handleChargeRefunded(charge) {
+  try {
+    logger.info('Charge refunded', { chargeId: charge.id });
+    
+    const { team, license } = await findChargeTarget(charge);
+    const target = team || license;
+    if (!target) {
+      return;
+    }
+    
+    const before = license && snapshotLicense(license);
+    const outcome = target.applyRefund(charge.id, charge.amount_refunded, charge.amount);
+    if (!outcome) {
+      logger.info('Refund already applied', { chargeId: charge.id });
+      return;
+    }
+    
+    await target.save();
+    if (team) {
+      await syncTeamSeats(team);
+    }
+    
+    await recordAudit(STRIPE_ACTOR, 'charge-refunded', {
+      licenseKey: license?.licenseKey,
+      changes: license ? diffSnapshots(before, snapshotLicense(license)) : undefined,
+      details: { teamKey: team?.teamKey, chargeId: charge.id, amountRefunded: charge.amount_refunded, amount: charge.amount, outcome: outcome }
+    });
+    
+    logger.info('Refund applied', { licenseKey: license?.licenseKey, teamKey: team?.teamKey, outcome });
+    
+  } catch (error) {
+    logger.error('Error handling refund', { error });
+    throw error;
+  }
+}
+
+// Suspend a license (or team) while a chargeback is open, restore it unless
+// it was lost. The event type says whether it closed: Stripe has more
+// closed statuses (won, lost, prevented, warning_closed) than we'd want to list.
+async function handleDispute(dispute, eventType) {
+  try {
+    logger.info('Dispute updated', { disputeId: dispute.id, status: dispute.status });
+    
+    // Disputes only reference the charge
+    const charge = typeof dispute.charge === 'string'
+      ? await stripe.charges.retrieve(dispute.charge)
+      : dispute.charge;
+    
+    const { team, license } = await findChargeTarget(charge);
+    const target = team || license;
+    if (!target) {
+      return;
+    }
+    
+    const before = license && snapshotLicense(license);
+    const closed = eventType === 'charge.dispute.closed';
+    const changed = closed
+      ? target.closeDispute(dispute.id, dispute.status)
+      : target.openDispute(dispute.id);
+    
+    if (!changed) {
+      logger.info('Dispute already applied', { disputeId: dispute.id });
+      return;
     }
     
+    await target.save();
+    if (team) {
+      await syncTeamSeats(team);
+    }
+    
+    await recordAudit(STRIPE_ACTOR, closed ? 'dispute-closed' : 'dispute-opened', {
+      licenseKey: license?.licenseKey,
+      changes: license ? diffSnapshots(before, snapshotLicense(license)) : undefined,
+      details: { teamKey: team?.teamKey, disputeId: dispute.id, chargeId: charge.id, status: dispute.status, reason: dispute.reason }
+    });
+    
+    logger.info('Billing status changed', { licenseKey: license?.licenseKey, teamKey: team?.teamKey, billingStatus: target.billingStatus });
+    
   } catch (error) {
-    console.error('❌ Error handling invoice payment:', error);
+    logger.error('Error handling dispute', { error });
+    throw error;
+  }
+}
+
+function subscriptionEndedAt(subscription) {
+  const endedAt = subscription.ended_at || subscription.canceled_at;
+  return endedAt ? new Date(endedAt * 1000) : new Date();
+}
+
+// Apply a subscription change to a team and all of its seats, including
+// a new quantity bought or dropped in the billing portal
+async function handleTeamSubscriptionUpdate(team, subscription) {
+  team.cancelAtPeriodEnd = !!subscription.cancel_at_period_end;
+  
+  if (subscription.status === 'active' || subscription.status === 'trialing') {
+    // Refunds and disputes decide a blocked team, not the subscription
+    if (!team.isBillingBlocked()) {
+      team.isActive = true;
+    }
+    const periodEnd = subscription.current_period_end || subscription.items?.data?.[0]?.current_period_end;
+    if (periodEnd) {
+      team.expiresAt = new Date(periodEnd * 1000);
+    }
+  } else if (['canceled', 'unpaid', 'incomplete_expired', 'paused'].includes(subscription.status)) {
+    team.isActive = false;
+  }
+  
+  if (subscription.status === 'canceled' && !team.canceledAt) {
+    team.canceledAt = subscriptionEndedAt(subscription);
+  }
+  
+  const quantity = subscription.items?.data?.[0]?.quantity ?? subscription.quantity;
+  if (quantity && quantity !== team.seats) {
+    const revoked = await setTeamSeats(team, quantity);
+    logger.info('Team seats changed', { teamKey: team.teamKey, seats: quantity, revoked: revoked.length });
   }
+  
+  await team.save();
+  const synced = await syncTeamSeats(team);
+  logger.info('Team subscription updated', { teamKey: team.teamKey, isActive: team.isActive, seatsUpdated: synced });
 }
 
 async function handleSubscriptionUpdate(subscription) {
   try {
-    console.log('Subscription update:', subscription.status, subscription.id);
+    logger.info('Subscription update', { subscriptionId: subscription.id, status: subscription.status });
+    
+    const team = await Team.findOne({ stripeSubscriptionId: subscription.id });
+    if (team) {
+      await handleTeamSubscriptionUpdate(team, subscription);
+      return;
+    }
     
     // Find license by subscription ID
     const license = await License.findOne({ 
@@ -469,21 +717,81 @@ async function handleSubscriptionUpdate(subscription) {
     });
     
     if (license) {
-      if (subscription.status === 'active') {
-        license.isActive = true;
-        // Update expiration date based on current period end
-        license.expiresAt = new Date(subscription.current_period_end * 1000);
-        console.log(`✅ Reactivated license ${license.licenseKey}`);
-      } else if (subscription.status === 'canceled' || subscription.status === 'unpaid') {
+      const wasCancelling = license.cancelAtPeriodEnd;
+      const wasActive = license.isActive;
+      
+      // Cancellations made in the billing portal apply at period end
+      license.cancelAtPeriodEnd = !!subscription.cancel_at_period_end;
+      
+      const before = snapshotLicense(license);
+      
+      if (license.isBillingBlocked() && license.billingStatus !== 'paused') {
+        // Refunds and disputes decide this license, not the subscription
+        logger.info('Ignoring subscription status for billing-blocked license', { licenseKey: license.licenseKey, billingStatus: license.billingStatus });
+      } else if (subscription.status === 'paused') {
         license.isActive = false;
-        console.log(`❌ Deactivated license ${license.licenseKey} due to ${subscription.status} status`);
+        license.billingStatus = 'paused';
+        logger.info('Paused license', { licenseKey: license.licenseKey });
+      } else if (subscription.status === 'active' || subscription.status === 'trialing') {
+        if (license.billingStatus === 'paused') {
+          license.billingStatus = 'active';
+        }
+        // An admin revoke isn't undone by the subscription carrying on
+        if (!license.isActive && (license.isBillingBlocked() || license.deactivatedReason === 'admin')) {
+          logger.info('Not reactivating deactivated license', { licenseKey: license.licenseKey, deactivatedReason: license.deactivatedReason });
+        } else {
+          license.isActive = true;
+          logger.info('Reactivated license', { licenseKey: license.licenseKey });
+        }
+        // Update expiration date based on current period end (moved onto
+        // subscription items in newer Stripe API versions)
+        const periodEnd = subscription.current_period_end || subscription.items?.data?.[0]?.current_period_end;
+        if (periodEnd) {
+          license.expiresAt = new Date(periodEnd * 1000);
+        }
+      } else if (['canceled', 'unpaid', 'incomplete_expired'].includes(subscription.status)) {
+        license.isActive = false;
+        license.deactivatedReason = 'subscription-ended';
+        license.dunning = undefined;
+        if (subscription.status === 'canceled' && !license.canceledAt) {
+          license.canceledAt = subscriptionEndedAt(subscription);
+        }
+        if (license.billingStatus === 'paused') {
+          license.billingStatus = 'active';
+        }
+        logger.info('Deactivated license', { licenseKey: license.licenseKey, status: subscription.status });
       }
       
       await license.save();
+      
+      const changes = diffSnapshots(before, snapshotLicense(license));
+      if (Object.keys(changes).length > 0) {
+        await recordAudit(STRIPE_ACTOR, 'subscription-update', {
+          licenseKey: license.licenseKey,
+          changes: changes,
+          details: { subscriptionId: subscription.id, status: subscription.status }
+        });
+      }
+      
+      // Confirm a new cancellation, whether scheduled or immediate
+      const cancelledNow = subscription.status === 'canceled' && wasActive && !wasCancelling;
+      if ((license.cancelAtPeriodEnd && !wasCancelling) || cancelledNow) {
+        try {
+          await sendTemplateEmail(license.customerEmail, 'cancellation-confirmation', {
+            customerName: license.customerName,
+            licenseKey: license.licenseKey,
+            plan: license.plan,
+            expiresAt: cancelledNow ? new Date() : license.expiresAt
+          });
+        } catch (error) {
+          logger.error('Error sending cancellation confirmation', { error });
+        }
+      }
     }
     
   } catch (error) {
-    console.error('❌ Error handling subscription update:', error);
+    logger.error('Error handling subscription update', { error });
+    throw error;
   }
 }
 
@@ -500,17 +808,117 @@ app.get('/api/health', (req, res) => {
   });
 });
 
+// ==== RATE LIMITS ====
+// Defaults below; each can be overridden with RATE_LIMIT_<NAME>_MAX and
+// RATE_LIMIT_<NAME>_WINDOW_SECONDS (see lib/rate-limits.js).
+
+const FIFTEEN_MINUTES = 15 * 60 * 1000;
+const ONE_HOUR = 60 * 60 * 1000;
+
+const validateIpLimiter = createRateLimiter('validate-ip', {
+  windowMs: FIFTEEN_MINUTES,
+  max: 60,
+  message: { valid: false, error: 'Too many requests, please try again later' }
+});
+
+const validateDeviceLimiter = createRateLimiter('validate-device', {
+  windowMs: FIFTEEN_MINUTES,
+  max: 30,
+  keyGenerator: (req) => String(req.body.deviceId),
+  skip: (req) => !req.body.deviceId,
+  message: { valid: false, error: 'Too many requests, please try again later' }
+});
+
+const validateKeyLimiter = createRateLimiter('validate-key', {
+  windowMs: FIFTEEN_MINUTES,
+  max: 30,
+  keyGenerator: (req) => normalizeLicenseKey(req.body.licenseKey),
+  skip: (req) => !normalizeLicenseKey(req.body.licenseKey),
+  message: { valid: false, error: 'Too many requests, please try again later' }
+});
+
+const deviceLicenseIpLimiter = createRateLimiter('device-license-ip', {
+  windowMs: FIFTEEN_MINUTES,
+  max: 120,
+  message: { hasLicense: false, error: 'Too many requests, please try again later' }
+});
+
+const deviceLicenseDeviceLimiter = createRateLimiter('device-license-device', {
+  windowMs: FIFTEEN_MINUTES,
+  max: 60,
+  keyGenerator: (req) => String(req.body.deviceId),
+  skip: (req) => !req.body.deviceId,
+  message: { hasLicense: false, error: 'Too many requests, please try again later' }
+});
+
+// Shared by the other endpoints that take a license key
+const licenseKeyIpLimiter = createRateLimiter('license-key-ip', {
+  windowMs: FIFTEEN_MINUTES,
+  max: 30,
+  message: { success: false, error: 'Too many requests, please try again later' }
+});
+
+const checkoutIpLimiter = createRateLimiter('checkout-ip', {
+  windowMs: ONE_HOUR,
+  max: 10,
+  message: { success: false, error: 'Too many requests, please try again later' }
+});
+
+// Invalid license keys count against both the client IP and the device,
+// with escalating lockouts once too many pile up
+function licenseAttemptKeys(req) {
+  const keys = [`ip:${req.ip}`];
+  if (req.body.deviceId) {
+    keys.push(`device:${req.body.deviceId}`);
+  }
+  return keys;
+}
+
+async function recordInvalidKeyAttempt(req) {
+  await Promise.all(licenseAttemptKeys(req).map(recordFailure));
+}
+
+async function clearInvalidKeyAttempts(req) {
+  await Promise.all(licenseAttemptKeys(req).map(clearFailures));
+}
+
+const licenseLockout = lockoutGuard(licenseAttemptKeys);
+
+const validateLockout = lockoutGuard(licenseAttemptKeys, {
+  valid: false,
+  error: 'Too many invalid license keys, please try again later'
+});
+
+// Why a license switched off by a billing problem fails validation
+const BILLING_BLOCKED_ERRORS = {
+  paused: { error: 'Subscription is paused', code: 'SUBSCRIPTION_PAUSED' },
+  disputed: { error: 'License is suspended while a payment dispute is open', code: 'LICENSE_DISPUTED' },
+  refunded: { error: 'License was refunded', code: 'LICENSE_REFUNDED' },
+  chargeback: { error: 'License was revoked after a chargeback', code: 'LICENSE_CHARGEBACK' }
+};
+
+const validateLicenseRequest = validate({
+  licenseKey: requiredString('License key and device ID are required'),
+  deviceId: requiredString('License key and device ID are required'),
+  deviceName: optionalString({ max: 100 })
+}, { valid: false });
+
 // Validate license key
-app.post('/api/validate-license', async (req, res) => {
+app.post('/api/validate-license', trackValidations('validate'), validateIpLimiter, validateDeviceLimiter, validateKeyLimiter, validateLockout, validateLicenseRequest, async (req, res, next) => {
   try {
-    const { licenseKey, deviceId, deviceName } = req.body;
+    const { deviceId, deviceName } = req.body;
+    const licenseKey = normalizeLicenseKey(req.body.licenseKey);
     
-    console.log('🔑 Validating license:', { licenseKey, deviceId, deviceName });
+    logger.debug('Validating license', { licenseKey, deviceId });
     
-    if (!licenseKey || !deviceId) {
-      return res.status(400).json({ 
+    // Reject typos before touching the database
+    if (!isWellFormedLicenseKey(licenseKey)) {
+      await recordInvalidKeyAttempt(req);
+      return res.json({ 
         valid: false, 
-        error: 'License key and device ID are required' 
+        error: 'Invalid license key format',
+        code: 'INVALID_FORMAT',
+        invalidFormat: true
       });
     }
     
@@ -518,103 +926,128 @@ app.post('/api/validate-license', async (req, res) => {
     const license = await License.findOne({ licenseKey: licenseKey });
     
     if (!license) {
+      await recordInvalidKeyAttempt(req);
       return res.json({ 
         valid: false, 
-        error: 'Invalid license key' 
+        error: 'Invalid license key',
+        code: 'INVALID_LICENSE'
       });
     }
     
     if (!license.isActive) {
+      if (license.teamMembership?.revokedAt) {
+        return res.json({ 
+          valid: false, 
+          error: 'This team seat has been revoked',
+          code: 'SEAT_REVOKED',
+          seatRevoked: true
+        });
+      }
+      if (license.isBillingBlocked()) {
+        return res.json({ 
+          valid: false, 
+          ...BILLING_BLOCKED_ERRORS[license.billingStatus],
+          billingStatus: license.billingStatus
+        });
+      }
+      // Expired licenses are deactivated in bulk, so still say why
+      if (license.expiresAt && new Date() > new Date(license.expiresAt)) {
+        return res.json({ 
+          valid: false, 
+          error: 'License has expired',
+          code: 'LICENSE_EXPIRED',
+          expired: true
+        });
+      }
       return res.json({ 
         valid: false, 
-        error: 'License is inactive' 
+        error: 'License is inactive',
+        code: 'LICENSE_INACTIVE'
       });
     }
     
+    // Imported keys start their expiry clock on first validation
+    if (license.isPendingActivation) {
+      license.activate();
+    }
+    
     // Check if license has expired
     if (new Date() > new Date(license.expiresAt)) {
-      license.isActive = false;
-      await license.save();
       return res.json({ 
         valid: false, 
         error: 'License has expired',
+        code: 'LICENSE_EXPIRED',
         expired: true
       });
     }
     
-    // Check if this device already has a different license
-    const existingLicenseKey = deviceMappings.get(deviceId);
-    if (existingLicenseKey && existingLicenseKey !== licenseKey) {
-      // Device already has a different license, deactivate the old one
-      const oldLicense = await License.findOne({ licenseKey: existingLicenseKey });
-      if (oldLicense && oldLicense.deviceId === deviceId) {
-        oldLicense.deviceId = null;
-        oldLicense.deviceName = null;
-        await oldLicense.save();
-      }
-    }
-    
-    // Check device limit (1 device per license)
-    if (license.deviceId && license.deviceId !== deviceId) {
+    // Check device limit (seats depend on the plan)
+    license.migrateLegacyDevice();
+    if (!license.addDevice(deviceId, deviceName || 'Chrome Extension')) {
       return res.json({ 
         valid: false, 
         error: 'License already activated on another device',
-        alreadyActivated: true
+        code: 'DEVICE_LIMIT',
+        alreadyActivated: true,
+        deviceLimitReached: true,
+        canTransfer: !!license.customerEmail,
+        ...license.getSeatUsage()
       });
     }
     
-    // Update license with device info
-    license.deviceId = deviceId;
-    license.deviceName = deviceName || 'Chrome Extension';
+    await clearInvalidKeyAttempts(req);
+    
+    // Update license with validation info
     license.lastValidated = new Date();
     license.validationCount = (license.validationCount || 0) + 1;
     
     await license.save();
     
-    // Update device mapping
-    deviceMappings.set(deviceId, licenseKey);
+    // If the device was using a different license, that one gives up its seat
+    await bindDevice(deviceId, licenseKey, { deviceName });
     
     // Calculate days left
     const now = new Date();
     const expiresAt = new Date(license.expiresAt);
     const daysLeft = Math.ceil((expiresAt - now) / (1000 * 60 * 60 * 24));
     
+    // Signed token so the extension keeps Pro features while we're unreachable
+    const offlineToken = issueLicenseToken(license, deviceId);
+    
     return res.json({
       valid: true,
+      offlineToken: offlineToken.token,
+      offlineTokenExpiresAt: offlineToken.expiresAt,
       license: {
         key: license.licenseKey,
         plan: license.plan,
         expiresAt: license.expiresAt.toISOString(),
         daysLeft: daysLeft,
         customerEmail: license.customerEmail,
-        customerName: license.customerName
+        customerName: license.customerName,
+        billingStatus: license.billingStatus,
+        entitlements: license.getEntitlements(),
+        ...license.getSeatUsage()
       }
     });
     
   } catch (error) {
-    console.error('❌ License validation error:', error);
-    return res.status(500).json({ 
-      valid: false, 
-      error: 'Internal server error' 
-    });
+    next(error);
   }
 });
 
+const deviceLicenseRequest = validate({
+  deviceId: requiredString('Device ID is required')
+}, { hasLicense: false });
+
 // Get device-specific license info
-app.post('/api/device-license', async (req, res) => {
+app.post('/api/device-license', trackValidations('device-lookup'), deviceLicenseIpLimiter, deviceLicenseDeviceLimiter, deviceLicenseRequest, async (req, res, next) => {
   try {
     const { deviceId } = req.body;
     
-    if (!deviceId) {
-      return res.status(400).json({ 
-        hasLicense: false,
-        error: 'Device ID is required' 
-      });
-    }
-    
-    // Find license by device ID
+    // Find license by device ID (including legacy single-device bindings)
     const license = await License.findOne({ 
-      deviceId: deviceId,
+      $or: [{ 'devices.deviceId': deviceId }, { deviceId: deviceId }],
       isActive: true 
     });
     
@@ -624,9 +1057,6 @@ app.post('/api/device-license', async (req, res) => {
     
     // Check if license has expired
     if (new Date() > new Date(license.expiresAt)) {
-      license.isActive = false;
-      await license.save();
-      deviceMappings.delete(deviceId);
       return res.json({ hasLicense: false });
     }
     
@@ -643,171 +1073,2132 @@ app.post('/api/device-license', async (req, res) => {
         expiresAt: license.expiresAt.toISOString(),
         daysLeft: daysLeft,
         customerEmail: license.customerEmail,
-        customerName: license.customerName
+        customerName: license.customerName,
+        entitlements: license.getEntitlements(),
+        ...license.getSeatUsage()
       }
     });
     
   } catch (error) {
-    console.error('❌ Device license check error:', error);
-    return res.status(500).json({ 
-      hasLicense: false,
-      error: 'Internal server error' 
-    });
+    next(error);
   }
 });
 
-// Create Stripe checkout session
-app.post('/api/create-checkout-session', async (req, res) => {
+// Public key the extension uses to verify offline license tokens
+app.get('/api/license-token/public-key', (req, res) => {
+  res.json(getPublicKeyInfo());
+});
+
+const refreshTokenRequest = validate({
+  token: requiredString('Token and device ID are required', { max: 4096 }),
+  deviceId: requiredString('Token and device ID are required')
+}, { valid: false });
+
+// Rotate an offline license token after re-checking the license. Shares
+// the validation limits, and forged or misused tokens count towards the
+// same lockouts as invalid keys.
+app.post('/api/refresh-license-token', validateIpLimiter, validateDeviceLimiter, validateLockout, refreshTokenRequest, async (req, res, next) => {
   try {
-    const { email, successUrl, cancelUrl } = req.body;
+    const { token, deviceId } = req.body;
     
-    if (!email) {
-      return res.status(400).json({ error: 'Email is required' });
+    let claims;
+    try {
+      claims = verifyLicenseToken(token, { ignoreExpiration: true });
+    } catch (err) {
+      await recordInvalidKeyAttempt(req);
+      return res.status(401).json({ 
+        valid: false,
+        error: 'Invalid token',
+        code: 'INVALID_TOKEN'
+      });
     }
     
-    // Create Stripe checkout session
-    const session = await stripe.checkout.sessions.create({
-      payment_method_types: ['card'],
-      line_items: [
-        {
-          price: process.env.STRIPE_MONTHLY_PRICE_ID,
-          quantity: 1,
-        },
-      ],
-      mode: 'subscription',
-      success_url: successUrl || `${process.env.FRONTEND_URL || 'https://sorvide.com'}/success?session_id={CHECKOUT_SESSION_ID}`,
-      cancel_url: cancelUrl || `${process.env.FRONTEND_URL || 'https://sorvide.com'}/cancel`,
-      customer_email: email,
-      metadata: {
-        product: 'sorvide_pro_monthly',
-        source: 'chrome_extension'
-      },
-      subscription_data: {
-        metadata: {
-          customer_email: email,
-          product: 'sorvide_pro'
-        }
-      }
+    if (claims.deviceId !== deviceId) {
+      await recordInvalidKeyAttempt(req);
+      return res.status(401).json({ 
+        valid: false,
+        error: 'Token was issued to a different device',
+        code: 'DEVICE_MISMATCH'
+      });
+    }
+    
+    const license = await License.findOne({ licenseKey: claims.key });
+    
+    if (!license || !license.isActive) {
+      return res.json({ 
+        valid: false,
+        error: 'License has been revoked',
+        code: 'LICENSE_REVOKED',
+        revoked: true
+      });
+    }
+    
+    if (new Date() > new Date(license.expiresAt)) {
+      return res.json({ 
+        valid: false,
+        error: 'License has expired',
+        code: 'LICENSE_EXPIRED',
+        expired: true
+      });
+    }
+    
+    license.migrateLegacyDevice();
+    if (!license.findDevice(deviceId)) {
+      return res.json({ 
+        valid: false,
+        error: 'Device is no longer activated on this license',
+        code: 'DEVICE_NOT_ACTIVATED',
+        deviceRemoved: true
+      });
+    }
+    
+    const offlineToken = issueLicenseToken(license, deviceId);
+    
+    return res.json({
+      valid: true,
+      offlineToken: offlineToken.token,
+      offlineTokenExpiresAt: offlineToken.expiresAt
     });
+    
+  } catch (error) {
+    next(error);
+  }
+});
 
-    res.json({ 
+const licenseDevicesRequest = validate({
+  licenseKey: requiredString('License key is required'),
+  deviceId: optionalString()
+}, { success: false });
+
+// List the devices using a license
+app.post('/api/license-devices', licenseKeyIpLimiter, licenseLockout, licenseDevicesRequest, async (req, res, next) => {
+  try {
+    const { deviceId } = req.body;
+    const licenseKey = normalizeLicenseKey(req.body.licenseKey);
+    
+    const license = await License.findOne({ licenseKey: licenseKey });
+    
+    if (!license) {
+      await recordInvalidKeyAttempt(req);
+      return res.status(404).json({ 
+        success: false,
+        error: 'Invalid license key',
+        code: 'INVALID_LICENSE'
+      });
+    }
+    
+    license.migrateLegacyDevice();
+    
+    return res.json({
       success: true,
-      sessionId: session.id, 
-      url: session.url 
+      devices: license.devices.map(device => ({
+        deviceId: device.deviceId,
+        deviceName: device.deviceName,
+        activatedAt: device.activatedAt,
+        lastSeenAt: device.lastSeenAt,
+        isCurrentDevice: device.deviceId === deviceId
+      })),
+      ...license.getSeatUsage()
     });
     
   } catch (error) {
-    console.error('❌ Error creating checkout session:', error);
-    res.status(500).json({ 
-      success: false,
-      error: 'Failed to create checkout session' 
-    });
+    next(error);
   }
 });
 
-// Manual license creation (admin only)
-app.post('/api/admin/create-license', async (req, res) => {
+// Device transfers and self-service deactivations share this allowance
+function transferLimitReached(license) {
+  return license.countRecentTransfers() >= parseInt(process.env.DEVICE_TRANSFERS_PER_MONTH || '3', 10);
+}
+
+const TRANSFER_LIMIT_ERROR = {
+  success: false,
+  error: 'Monthly device transfer limit reached, please contact support',
+  code: 'TRANSFER_LIMIT',
+  transferLimitReached: true
+};
+
+const deactivateDeviceRequest = validate({
+  licenseKey: requiredString('License key and device ID are required'),
+  deviceId: requiredString('License key and device ID are required')
+}, { success: false });
+
+// Free a seat by deactivating one device on a license
+app.post('/api/deactivate-device', licenseKeyIpLimiter, licenseLockout, deactivateDeviceRequest, async (req, res, next) => {
   try {
-    const { email, name } = req.body;
-    const adminToken = req.headers['x-admin-token'];
+    const { deviceId } = req.body;
+    const licenseKey = normalizeLicenseKey(req.body.licenseKey);
+    
+    const license = await License.findOne({ licenseKey: licenseKey });
+    
+    if (!license) {
+      await recordInvalidKeyAttempt(req);
+      return res.status(404).json({ 
+        success: false,
+        error: 'Invalid license key',
+        code: 'INVALID_LICENSE'
+      });
+    }
+    
+    license.migrateLegacyDevice();
     
-    // Simple admin check
-    if (!adminToken || adminToken !== process.env.ADMIN_TOKEN) {
-      return res.status(401).json({ error: 'Unauthorized' });
+    if (!license.findDevice(deviceId)) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Device is not activated on this license',
+        code: 'DEVICE_NOT_ACTIVATED'
+      });
     }
     
-    if (!email) {
-      return res.status(400).json({ error: 'Email is required' });
+    // Otherwise deactivating and re-validating elsewhere would be a free,
+    // unconfirmed transfer
+    if (transferLimitReached(license)) {
+      return res.status(429).json(TRANSFER_LIMIT_ERROR);
     }
     
-    // Generate license key
-    const licenseKey = generateLicenseKey();
+    license.deactivateDevice(deviceId);
     
-    // Calculate expiration date
-    const expiresAt = new Date();
-    expiresAt.setDate(expiresAt.getDate() + 30);
+    await license.save();
     
-    // Save to database
-    const license = new License({
-      licenseKey: licenseKey,
-      customerEmail: email,
-      customerName: name || email.split('@')[0],
-      plan: 'monthly',
-      expiresAt: expiresAt,
-      isActive: true,
-      isManual: true
+    await unbindDevice(deviceId, licenseKey, 'deactivated');
+    
+    logger.info('Deactivated device', { licenseKey, deviceId });
+    
+    return res.json({
+      success: true,
+      message: 'Device deactivated',
+      ...license.getSeatUsage()
     });
     
+  } catch (error) {
+    next(error);
+  }
+});
+
+const requestTransferRequest = validate({
+  licenseKey: requiredString('License key and device ID are required'),
+  deviceId: requiredString('License key and device ID are required'),
+  deviceName: optionalString({ max: 100 }),
+  replaceDeviceId: optionalString()
+}, { success: false });
+
+// Ask to move a license to this device; emails a confirmation code
+app.post('/api/request-device-transfer', licenseKeyIpLimiter, licenseLockout, requestTransferRequest, async (req, res, next) => {
+  try {
+    const { deviceId, deviceName, replaceDeviceId } = req.body;
+    const licenseKey = normalizeLicenseKey(req.body.licenseKey);
+    
+    const license = await License.findOne({ licenseKey: licenseKey });
+    
+    if (!license || !license.isActive) {
+      await recordInvalidKeyAttempt(req);
+      return res.status(404).json({ 
+        success: false,
+        error: 'Invalid license key',
+        code: 'INVALID_LICENSE'
+      });
+    }
+    
+    if (!license.customerEmail) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'This license has no email address on file, please contact support',
+        code: 'NO_EMAIL_ON_FILE'
+      });
+    }
+    
+    license.migrateLegacyDevice();
+    
+    if (license.findDevice(deviceId)) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'License is already active on this device',
+        code: 'ALREADY_ACTIVATED'
+      });
+    }
+    
+    if (replaceDeviceId && !license.findDevice(replaceDeviceId)) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Device to replace is not activated on this license',
+        code: 'DEVICE_NOT_ACTIVATED'
+      });
+    }
+    
+    if (transferLimitReached(license)) {
+      return res.status(429).json(TRANSFER_LIMIT_ERROR);
+    }
+    
+    const { code, rejection } = license.startTransfer(deviceId, deviceName || 'Chrome Extension', replaceDeviceId);
+    if (rejection) {
+      return res.status(429).json({ 
+        success: false,
+        error: rejection,
+        code: 'TOO_MANY_CODES'
+      });
+    }
     await license.save();
     
-    // Send email
-    await sendLicenseEmail(email, name || email.split('@')[0], licenseKey);
+    await sendTemplateEmail(license.customerEmail, 'device-transfer', {
+      customerName: license.customerName,
+      code: code,
+      deviceName: deviceName
+    });
     
-    res.json({
+    return res.json({
       success: true,
-      license: {
-        key: licenseKey,
-        email: email,
-        expiresAt: expiresAt.toISOString()
-      },
-      message: 'License created and email sent'
+      message: 'Transfer code sent',
+      email: maskEmail(license.customerEmail),
+      replaceDeviceId: license.pendingTransfer.replaceDeviceId || null
     });
     
   } catch (error) {
-    console.error('❌ Admin license creation error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    next(error);
   }
 });
 
-// Get license info (admin only)
-app.get('/api/admin/license/:key', async (req, res) => {
+const confirmTransferRequest = validate({
+  licenseKey: requiredString('License key, device ID and code are required'),
+  deviceId: requiredString('License key, device ID and code are required'),
+  code: requiredString('License key, device ID and code are required', { max: 20 })
+}, { success: false });
+
+// Complete a device transfer with the emailed confirmation code
+app.post('/api/confirm-device-transfer', licenseKeyIpLimiter, licenseLockout, confirmTransferRequest, async (req, res, next) => {
   try {
-    const adminToken = req.headers['x-admin-token'];
+    const { deviceId, code } = req.body;
+    const licenseKey = normalizeLicenseKey(req.body.licenseKey);
+    
+    const license = await License.findOne({ licenseKey: licenseKey });
+    
+    if (!license || !license.isActive) {
+      await recordInvalidKeyAttempt(req);
+      return res.status(404).json({ 
+        success: false,
+        error: 'Invalid license key',
+        code: 'INVALID_LICENSE'
+      });
+    }
+    
+    license.migrateLegacyDevice();
+    
+    const rejection = license.verifyTransferCode(deviceId, code);
+    if (rejection) {
+      // Persist the failed attempt count; wrong codes also count towards
+      // the lockout like wrong keys
+      await license.save();
+      await recordInvalidKeyAttempt(req);
+      return res.status(400).json({ 
+        success: false,
+        error: rejection,
+        code: 'TRANSFER_CODE_REJECTED'
+      });
+    }
+    
+    const { replacedDeviceId, rejection: seatRejection } = license.completeTransfer();
+    await license.save();
     
-    if (!adminToken || adminToken !== process.env.ADMIN_TOKEN) {
-      return res.status(401).json({ error: 'Unauthorized' });
+    if (seatRejection) {
+      return res.status(409).json({ 
+        success: false,
+        error: seatRejection,
+        code: 'DEVICE_LIMIT',
+        deviceLimitReached: true
+      });
+    }
+    
+    if (replacedDeviceId) {
+      await unbindDevice(replacedDeviceId, licenseKey, 'transferred');
     }
+    await bindDevice(deviceId, licenseKey, { deviceName: license.findDevice(deviceId)?.deviceName });
+    
+    logger.info('Transferred license', { licenseKey, deviceId });
+    
+    return res.json({
+      success: true,
+      message: 'License transferred to this device',
+      replacedDeviceId: replacedDeviceId || null,
+      ...license.getSeatUsage()
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+const portalCodeRequest = validate({
+  licenseKey: requiredString('License key is required')
+}, { success: false });
+
+// Email a verification code before opening the billing portal
+app.post('/api/billing-portal/request-code', licenseKeyIpLimiter, licenseLockout, portalCodeRequest, async (req, res, next) => {
+  try {
+    const licenseKey = normalizeLicenseKey(req.body.licenseKey);
     
-    const license = await License.findOne({ licenseKey: req.params.key });
+    const license = await License.findOne({ licenseKey: licenseKey });
     
     if (!license) {
-      return res.status(404).json({ error: 'License not found' });
+      await recordInvalidKeyAttempt(req);
+      return res.status(404).json({ 
+        success: false,
+        error: 'Invalid license key',
+        code: 'INVALID_LICENSE'
+      });
     }
     
-    // Calculate days left
+    if (!license.stripeCustomerId || !license.customerEmail) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'This license has no billing account',
+        code: 'NO_BILLING_ACCOUNT'
+      });
+    }
+    
+    const { code, rejection } = license.startPortalVerification();
+    if (rejection) {
+      return res.status(429).json({ 
+        success: false,
+        error: rejection,
+        code: 'TOO_MANY_CODES'
+      });
+    }
+    await license.save();
+    
+    await sendTemplateEmail(license.customerEmail, 'billing-verification', {
+      customerName: license.customerName,
+      code: code
+    });
+    
+    return res.json({
+      success: true,
+      message: 'Verification code sent',
+      email: maskEmail(license.customerEmail)
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+const portalSessionRequest = validate({
+  licenseKey: requiredString('License key and verification code are required'),
+  code: requiredString('License key and verification code are required', { max: 20 }),
+  returnUrl: optionalString({ max: 2000 })
+}, { success: false });
+
+// Only send customers back to our own site or extension, so the portal
+// can't be used as an open redirect
+function isAllowedReturnUrl(returnUrl) {
+  let url;
+  try {
+    url = new URL(returnUrl);
+  } catch (err) {
+    return false;
+  }
+  // URL#origin is 'null' for chrome-extension:// URLs
+  const origin = `${url.protocol}//${url.host}`;
+  const frontendUrl = process.env.FRONTEND_URL || 'https://sorvide.com';
+  return origin === new URL(frontendUrl).origin || isAllowedOrigin(config, origin);
+}
+
+// Create a Stripe Billing Portal session once the emailed code is confirmed
+app.post('/api/billing-portal/session', licenseKeyIpLimiter, licenseLockout, portalSessionRequest, async (req, res, next) => {
+  try {
+    const { code, returnUrl } = req.body;
+    const licenseKey = normalizeLicenseKey(req.body.licenseKey);
+    
+    if (returnUrl && !isAllowedReturnUrl(returnUrl)) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Return URL is not allowed',
+        code: 'INVALID_RETURN_URL'
+      });
+    }
+    
+    const license = await License.findOne({ licenseKey: licenseKey });
+    
+    if (!license || !license.stripeCustomerId) {
+      await recordInvalidKeyAttempt(req);
+      return res.status(404).json({ 
+        success: false,
+        error: 'Invalid license key',
+        code: 'INVALID_LICENSE'
+      });
+    }
+    
+    const rejection = license.verifyPortalCode(code);
+    // Persist the failed attempt count or the consumed code
+    await license.save();
+    
+    if (rejection) {
+      await recordInvalidKeyAttempt(req);
+      return res.status(400).json({ 
+        success: false,
+        error: rejection,
+        code: 'VERIFICATION_CODE_REJECTED'
+      });
+    }
+    
+    const session = await stripe.billingPortal.sessions.create({
+      customer: license.stripeCustomerId,
+      return_url: returnUrl || process.env.FRONTEND_URL || 'https://sorvide.com'
+    });
+    
+    return res.json({
+      success: true,
+      url: session.url
+    });
+    
+  } catch (error) {
+    if (error instanceof Stripe.errors.StripeError) {
+      logger.error('Billing portal session error', { error });
+      return next(new ApiError(500, 'PORTAL_SESSION_FAILED', 'Failed to create billing portal session'));
+    }
+    next(error);
+  }
+});
+
+// Same answer whether or not the address has licenses, so this can't be
+// used to find out who our customers are
+const RESEND_LICENSE_RESPONSE = {
+  success: true,
+  message: 'If that email address has an active Sorvide Pro license, we have sent it there.'
+};
+
+const resendLicenseIpLimiter = createRateLimiter('resend-license-ip', {
+  windowMs: ONE_HOUR,
+  max: 10,
+  message: { success: false, error: 'Too many requests, please try again later' }
+});
+
+// Quietly drop repeat requests for one address instead of revealing the limit
+const resendLicenseEmailLimiter = createRateLimiter('resend-license-email', {
+  windowMs: ONE_HOUR,
+  max: 3,
+  standardHeaders: false,
+  keyGenerator: (req) => String(req.body.email || '').trim().toLowerCase(),
+  handler: (req, res) => res.json(RESEND_LICENSE_RESPONSE)
+});
+
+// Re-send every active license for an email address
+async function resendLicensesTo(email) {
+  const now = new Date();
+  const licenses = await License.find({
+    customerEmail: email,
+    isActive: true,
+    $or: [{ expiresAt: { $gt: now } }, { expiresAt: null }]
+  }).collation({ locale: 'en', strength: 2 });
+  
+  for (const license of licenses) {
+    await sendLicenseEmail(license.customerEmail, license.customerName, license.licenseKey, {
+      plan: license.plan
+    });
+  }
+  
+  logger.info('License resend processed', { licenses: licenses.length });
+}
+
+const resendLicenseRequest = validate({
+  email: requiredEmail()
+}, { success: false });
+
+// Recover lost license keys by email
+app.post('/api/resend-license', resendLicenseIpLimiter, resendLicenseEmailLimiter, resendLicenseRequest, async (req, res) => {
+  const { email } = req.body;
+  
+  // Respond before looking anything up so timing doesn't give it away either
+  res.json(RESEND_LICENSE_RESPONSE);
+  
+  resendLicensesTo(email).catch(error => {
+    logger.error('License resend error', { error });
+  });
+});
+
+const trialIpLimiter = createRateLimiter('trial-ip', {
+  windowMs: ONE_HOUR,
+  max: 5,
+  message: { success: false, error: 'Too many requests, please try again later' }
+});
+
+const startTrialRequest = validate({
+  deviceId: requiredString('Device ID is required'),
+  email: requiredEmail(),
+  deviceName: optionalString({ max: 100 })
+}, { success: false });
+
+// Start a free trial for a device. Each device and each email address
+// gets one trial; buying Pro with the same email later converts it.
+app.post('/api/start-trial', trialIpLimiter, startTrialRequest, async (req, res, next) => {
+  try {
+    const { deviceId, deviceName } = req.body;
+    const email = req.body.email.toLowerCase();
+    
+    const trialUsed = {
+      success: false,
+      error: 'A free trial has already been used on this device or email address',
+      code: 'TRIAL_USED',
+      trialUsed: true
+    };
+    
+    const used = await License.exists({ $or: [{ 'trial.deviceId': deviceId }, { 'trial.email': email }] });
+    if (used) {
+      return res.status(409).json(trialUsed);
+    }
+    
+    const plan = getPlan('trial');
     const now = new Date();
-    const expiresAt = new Date(license.expiresAt);
-    const daysLeft = Math.ceil((expiresAt - now) / (1000 * 60 * 60 * 24));
+    const license = new License({
+      customerEmail: email,
+      customerName: email.split('@')[0],
+      plan: plan.id,
+      source: 'trial',
+      expiresAt: calculateExpiry(plan, now),
+      isActive: true,
+      trial: { deviceId, email, startedAt: now }
+    });
+    license.addDevice(deviceId, deviceName || 'Chrome Extension', now);
+    
+    try {
+      await saveWithUniqueKey(license, plan.keyPrefix);
+    } catch (err) {
+      // Lost a race with another request for the same device or email
+      if (err.code === 11000 && (err.keyPattern?.['trial.deviceId'] || err.keyPattern?.['trial.email'])) {
+        return res.status(409).json(trialUsed);
+      }
+      throw err;
+    }
+    
+    await bindDevice(deviceId, license.licenseKey, { deviceName });
+    logger.info('Trial started', { licenseKey: license.licenseKey, email });
+    
+    const offlineToken = issueLicenseToken(license, deviceId);
     
     res.json({
+      success: true,
+      offlineToken: offlineToken.token,
+      offlineTokenExpiresAt: offlineToken.expiresAt,
       license: {
         key: license.licenseKey,
+        plan: license.plan,
+        expiresAt: license.expiresAt.toISOString(),
+        daysLeft: plan.durationDays,
         customerEmail: license.customerEmail,
         customerName: license.customerName,
-        plan: license.plan,
-        isActive: license.isActive,
-        createdAt: license.createdAt,
-        expiresAt: license.expiresAt,
-        daysLeft: daysLeft,
-        deviceId: license.deviceId,
-        deviceName: license.deviceName,
-        lastValidated: license.lastValidated,
-        validationCount: license.validationCount,
-        stripeCustomerId: license.stripeCustomerId,
-        stripeSubscriptionId: license.stripeSubscriptionId
+        billingStatus: license.billingStatus,
+        entitlements: license.getEntitlements(),
+        ...license.getSeatUsage()
       }
     });
     
   } catch (error) {
-    console.error('❌ Admin license lookup error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    next(error);
   }
 });
 
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log(`🚀 Server running on port ${PORT}`);
-  console.log(`📧 Mailgun domain: ${process.env.MAILGUN_DOMAIN}`);
-  console.log(`💳 Stripe mode: ${process.env.STRIPE_SECRET_KEY?.startsWith('sk_test') ? 'Test' : 'Live'}`);
-  console.log(`🌐 CORS origins: ${process.env.CORS_ORIGINS}`);
+const couponIpLimiter = createRateLimiter('coupon-ip', {
+  windowMs: ONE_HOUR,
+  max: 10,
+  message: { success: false, error: 'Too many requests, please try again later' }
+});
+
+// Guessing coupon codes counts towards the same lockouts as license keys
+const couponLockout = lockoutGuard(licenseAttemptKeys, {
+  success: false,
+  error: 'Too many invalid codes, please try again later'
+});
+
+const redeemCouponRequest = validate({
+  code: requiredString('Coupon code is required', { max: 64 }),
+  email: requiredEmail(),
+  licenseKey: optionalString()
+}, { success: false });
+
+// Redeem an internal coupon for days of Pro. Pass licenseKey to extend an
+// existing license instead of receiving a new one.
+app.post('/api/redeem-coupon', couponIpLimiter, couponLockout, redeemCouponRequest, async (req, res, next) => {
+  try {
+    const code = normalizeCouponCode(req.body.code);
+    const email = req.body.email.toLowerCase();
+    const licenseKey = req.body.licenseKey ? normalizeLicenseKey(req.body.licenseKey) : null;
+    
+    const result = await redeemCoupon(code, { email, licenseKey, ip: req.ip });
+    
+    if (result.error) {
+      if (result.invalidCode) {
+        await recordInvalidKeyAttempt(req);
+      }
+      return res.status(400).json({ success: false, ...result });
+    }
+    
+    await clearInvalidKeyAttempts(req);
+    
+    const { license, coupon, createdLicense } = result;
+    logger.info('Coupon redeemed', { coupon: coupon.code, licenseKey: license.licenseKey });
+    
+    if (createdLicense) {
+      await sendLicenseEmail(email, license.customerName, license.licenseKey, { plan: license.plan });
+    }
+    
+    res.json({
+      success: true,
+      days: coupon.days,
+      createdLicense: createdLicense,
+      license: {
+        key: license.licenseKey,
+        plan: license.plan,
+        expiresAt: license.expiresAt.toISOString(),
+        daysLeft: Math.ceil((license.expiresAt - new Date()) / (1000 * 60 * 60 * 24))
+      }
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+const MAX_TEAM_SEATS = 500;
+
+// ==== TEAM ROUTES ====
+// The team owner authenticates with the team key from their purchase email
+
+// Look up the team for the key in the request body, counting bad keys
+// towards the license key lockouts
+async function findRequestTeam(req, res) {
+  const team = await Team.findOne({ teamKey: normalizeLicenseKey(req.body.teamKey) });
+  
+  if (!team) {
+    await recordInvalidKeyAttempt(req);
+    res.status(404).json({ success: false, error: 'Invalid team key', code: 'INVALID_TEAM_KEY' });
+    return null;
+  }
+  
+  return team;
+}
+
+const teamKeyField = requiredString('Team key is required');
+
+function formatTeamMember(license) {
+  return {
+    email: license.customerEmail,
+    name: license.customerName,
+    licenseKey: license.licenseKey,
+    invitedAt: license.teamMembership.invitedAt,
+    revokedAt: license.teamMembership.revokedAt || null,
+    revokedReason: license.teamMembership.revokedReason || null,
+    devices: license.devices.length,
+    lastValidated: license.lastValidated || null
+  };
+}
+
+const teamRequest = validate({
+  teamKey: teamKeyField
+}, { success: false });
+
+// Team details, members and seat usage
+app.post('/api/team', licenseKeyIpLimiter, licenseLockout, teamRequest, async (req, res, next) => {
+  try {
+    const team = await findRequestTeam(req, res);
+    if (!team) {
+      return;
+    }
+    
+    const members = await listTeamMembers(team);
+    
+    res.json({
+      success: true,
+      team: {
+        name: team.name,
+        plan: team.plan,
+        isActive: team.isActive,
+        expiresAt: team.expiresAt,
+        cancelAtPeriodEnd: team.cancelAtPeriodEnd
+      },
+      ...(await getTeamSeatUsage(team)),
+      members: members.map(formatTeamMember)
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+const teamInviteRequest = validate({
+  teamKey: teamKeyField,
+  email: requiredEmail(),
+  name: optionalString({ max: 100 })
+}, { success: false });
+
+// Invite a member by email; they receive their own license key
+app.post('/api/team/invite', licenseKeyIpLimiter, licenseLockout, teamInviteRequest, async (req, res, next) => {
+  try {
+    const team = await findRequestTeam(req, res);
+    if (!team) {
+      return;
+    }
+    
+    const email = req.body.email.toLowerCase();
+    
+    const result = await inviteTeamMember(team, email, req.body.name);
+    if (result.error) {
+      return res.status(409).json({ success: false, ...result });
+    }
+    
+    const { license } = result;
+    logger.info('Invited team member', { teamKey: team.teamKey, email });
+    
+    try {
+      await sendTemplateEmail(email, 'team-invite', {
+        customerName: license.customerName,
+        teamName: team.name,
+        ownerName: team.ownerName,
+        licenseKey: license.licenseKey
+      });
+    } catch (error) {
+      logger.error('Error sending team invite', { error });
+    }
+    
+    res.json({
+      success: true,
+      member: formatTeamMember(license),
+      ...(await getTeamSeatUsage(team))
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+const teamRevokeRequest = validate({
+  teamKey: teamKeyField,
+  email: optionalString(),
+  licenseKey: optionalString()
+}, { success: false });
+
+// Revoke a member's seat by email or license key
+app.post('/api/team/revoke', licenseKeyIpLimiter, licenseLockout, teamRevokeRequest, async (req, res, next) => {
+  try {
+    const team = await findRequestTeam(req, res);
+    if (!team) {
+      return;
+    }
+    
+    const email = (req.body.email || '').toLowerCase();
+    const licenseKey = req.body.licenseKey ? normalizeLicenseKey(req.body.licenseKey) : null;
+    
+    if (!email && !licenseKey) {
+      throw new ApiError(400, 'VALIDATION_FAILED', 'Email or license key is required');
+    }
+    
+    const license = await revokeTeamMember(team, { email, licenseKey });
+    if (!license) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'No active member found',
+        code: 'MEMBER_NOT_FOUND'
+      });
+    }
+    
+    logger.info('Revoked team member', { teamKey: team.teamKey, licenseKey: license.licenseKey });
+    
+    res.json({
+      success: true,
+      member: formatTeamMember(license),
+      ...(await getTeamSeatUsage(team))
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Plans on sale and what each unlocks, for the extension's upgrade screen
+app.get('/api/plans', (req, res) => {
+  res.json({
+    plans: listPlans()
+      .filter(plan => plan.checkoutMode && getPlanPriceId(plan))
+      .map(plan => ({
+        id: plan.id,
+        name: plan.name,
+        description: plan.description,
+        checkoutMode: plan.checkoutMode,
+        cadence: plan.cadence,
+        price: plan.defaultPrice,
+        durationDays: plan.durationDays,
+        maxDevices: plan.maxDevices,
+        entitlements: resolveEntitlements(plan)
+      }))
+  });
+});
+
+const checkoutRequest = validate({
+  email: requiredEmail(),
+  plan: optionalString({ max: 50 }),
+  quantity: intField(1, MAX_TEAM_SEATS, { optional: true }),
+  teamName: optionalString({ max: 100 }),
+  promotionCode: optionalString({ max: 100 }),
+  successUrl: optionalString({ max: 2000 }),
+  cancelUrl: optionalString({ max: 2000 })
+}, { success: false });
+
+// Create Stripe checkout session
+app.post('/api/create-checkout-session', checkoutIpLimiter, checkoutRequest, async (req, res, next) => {
+  try {
+    const { email, successUrl, cancelUrl, promotionCode, teamName, plan: planId = DEFAULT_PLAN } = req.body;
+    const quantity = req.body.quantity ?? 1;
+    
+    const plan = getPlan(planId);
+    const priceId = plan && getPlanPriceId(plan);
+    
+    if (!priceId) {
+      return res.status(400).json({ 
+        success: false,
+        error: `Unknown or unavailable plan: ${planId}`,
+        code: 'PLAN_UNAVAILABLE'
+      });
+    }
+    
+    const sessionParams = {
+      payment_method_types: ['card'],
+      line_items: [
+        {
+          price: priceId,
+          quantity: quantity,
+        },
+      ],
+      mode: plan.checkoutMode,
+      success_url: successUrl || `${process.env.FRONTEND_URL || 'https://sorvide.com'}/success?session_id={CHECKOUT_SESSION_ID}`,
+      cancel_url: cancelUrl || `${process.env.FRONTEND_URL || 'https://sorvide.com'}/cancel`,
+      customer_email: email,
+      metadata: {
+        product: `sorvide_pro_${plan.id}`,
+        plan: plan.id,
+        source: 'chrome_extension'
+      }
+    };
+    
+    // More than one seat makes this a team purchase
+    if (quantity > 1) {
+      sessionParams.metadata.team_seats = String(quantity);
+      if (teamName) {
+        sessionParams.metadata.team_name = teamName;
+      }
+    }
+    
+    if (plan.checkoutMode === 'subscription') {
+      sessionParams.subscription_data = {
+        metadata: {
+          customer_email: email,
+          product: 'sorvide_pro',
+          plan: plan.id
+        }
+      };
+    } else {
+      // One-time payments still need a customer for receipts and support
+      sessionParams.customer_creation = 'always';
+    }
+    
+    // Apply a code entered in the extension, otherwise let the customer
+    // enter one on the hosted page (Stripe doesn't allow both)
+    if (promotionCode) {
+      const promotionCodes = await stripe.promotionCodes.list({
+        code: promotionCode,
+        active: true,
+        limit: 1
+      });
+      
+      if (promotionCodes.data.length === 0) {
+        return res.status(400).json({ 
+          success: false,
+          error: 'Invalid or expired promotion code',
+          code: 'INVALID_PROMOTION_CODE',
+          invalidPromotionCode: true
+        });
+      }
+      
+      sessionParams.discounts = [{ promotion_code: promotionCodes.data[0].id }];
+    } else {
+      sessionParams.allow_promotion_codes = true;
+    }
+    
+    // Create Stripe checkout session
+    const session = await stripe.checkout.sessions.create(sessionParams);
+
+    res.json({ 
+      success: true,
+      sessionId: session.id, 
+      url: session.url 
+    });
+    
+  } catch (error) {
+    if (error instanceof Stripe.errors.StripeError) {
+      logger.error('Error creating checkout session', { error });
+      return next(new ApiError(500, 'CHECKOUT_FAILED', 'Failed to create checkout session'));
+    }
+    next(error);
+  }
+});
+
+// ==== ADMIN ROUTES ====
+// ======================
+
+const adminLoginLimiter = createRateLimiter('admin-login', {
+  windowMs: FIFTEEN_MINUTES,
+  max: 10,
+  message: { error: 'Too many login attempts, please try again later' }
+});
+
+const adminLoginRequest = validate({
+  email: requiredString('Email and password are required'),
+  password: requiredString('Email and password are required', { max: 1000 })
+});
+
+// Sign in as an admin user and get a session token
+app.post('/api/admin/login', adminLoginLimiter, adminLoginRequest, async (req, res, next) => {
+  try {
+    const { email, password } = req.body;
+    
+    if (!process.env.ADMIN_JWT_SECRET) {
+      return res.status(503).json({ error: 'Admin login is not configured', code: 'ADMIN_LOGIN_DISABLED' });
+    }
+    
+    const adminUser = await AdminUser.findOne({ email: email.toLowerCase() });
+    
+    if (!adminUser || !adminUser.isActive || !(await adminUser.checkPassword(password))) {
+      return res.status(401).json({ error: 'Invalid email or password', code: 'INVALID_CREDENTIALS' });
+    }
+    
+    adminUser.lastLoginAt = new Date();
+    await adminUser.save();
+    
+    logger.info('Admin login', { admin: adminUser.email, role: adminUser.role });
+    
+    res.json({
+      success: true,
+      token: issueAdminSession(adminUser),
+      admin: adminUser
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+// The signed-in admin
+app.get('/api/admin/me', requireAdmin('licenses:read'), (req, res) => {
+  res.json({ admin: req.admin });
+});
+
+// Full license details for admin responses
+function formatAdminLicense(license) {
+  // Unactivated keys have no expiry yet
+  const daysLeft = license.expiresAt
+    ? Math.ceil((new Date(license.expiresAt) - new Date()) / (1000 * 60 * 60 * 24))
+    : null;
+  
+  license.migrateLegacyDevice();
+  
+  return {
+    key: license.licenseKey,
+    customerEmail: license.customerEmail,
+    customerName: license.customerName,
+    plan: license.plan,
+    source: license.source,
+    notes: license.notes,
+    isActive: license.isActive,
+    createdAt: license.createdAt,
+    activatedAt: license.activatedAt,
+    expiresAt: license.expiresAt,
+    daysLeft: daysLeft,
+    devices: license.devices,
+    ...license.getSeatUsage(),
+    maxDevices: license.maxDevices,
+    entitlements: license.getEntitlements(),
+    entitlementOverrides: license.entitlementOverrides || {},
+    lastValidated: license.lastValidated,
+    validationCount: license.validationCount,
+    stripeCustomerId: license.stripeCustomerId,
+    stripeSubscriptionId: license.stripeSubscriptionId,
+    cancelAtPeriodEnd: license.cancelAtPeriodEnd,
+    billingStatus: license.billingStatus,
+    dispute: license.dispute,
+    refunds: license.refunds,
+    teamMembership: license.teamMembership
+  };
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Load the license named in the URL, apply `mutate` and audit the result.
+// `mutate` returns an error message to reject the change with a 400.
+async function mutateLicense(req, res, action, mutate) {
+  const license = await License.findOne({ licenseKey: normalizeLicenseKey(req.params.key) });
+  
+  if (!license) {
+    return res.status(404).json({ error: 'License not found', code: 'LICENSE_NOT_FOUND' });
+  }
+  
+  license.migrateLegacyDevice();
+  const before = snapshotLicense(license);
+  
+  const rejection = mutate(license);
+  if (rejection) {
+    return res.status(400).json({ error: rejection, code: 'INVALID_LICENSE_STATE' });
+  }
+  
+  await license.save();
+  
+  const changes = diffSnapshots(before, snapshotLicense(license));
+  await recordAudit(req, action, {
+    licenseKey: license.licenseKey,
+    changes: changes,
+    details: req.body.reason ? { reason: req.body.reason } : undefined
+  });
+  
+  logger.info('Admin changed license', { admin: req.adminActor, action, licenseKey: license.licenseKey });
+  
+  res.json({
+    success: true,
+    changes: changes,
+    license: formatAdminLicense(license)
+  });
+}
+
+// The license key in admin URLs
+const licenseKeyParam = {
+  key: requiredString('License key is required', { location: 'params' })
+};
+
+// Optional reason recorded in the audit log
+const auditReason = optionalString({ max: 500 });
+
+const createLicenseRequest = validate({
+  email: requiredEmail(),
+  name: optionalString({ max: 100 }),
+  plan: {
+    in: ['body'],
+    optional: { options: { values: 'falsy' } },
+    custom: { options: (planId) => !!getPlan(planId) },
+    errorMessage: (planId) => `Unknown plan: ${planId}`
+  }
+});
+
+// Manual license creation (admin only)
+app.post('/api/admin/create-license', requireAdmin('licenses:create'), createLicenseRequest, async (req, res, next) => {
+  try {
+    const { email, name } = req.body;
+    const plan = getPlan(req.body.plan || DEFAULT_PLAN);
+    
+    // Calculate expiration date from the plan
+    const expiresAt = calculateExpiry(plan);
+    
+    // Save to database under a freshly generated key
+    const license = new License({
+      customerEmail: email,
+      customerName: name || email.split('@')[0],
+      plan: plan.id,
+      expiresAt: expiresAt,
+      isActive: true,
+      source: 'admin'
+    });
+    
+    await saveWithUniqueKey(license, plan.keyPrefix);
+    const licenseKey = license.licenseKey;
+    
+    await recordAudit(req, 'create', {
+      licenseKey: licenseKey,
+      changes: diffSnapshots({}, snapshotLicense(license))
+    });
+    
+    // Send email
+    await sendLicenseEmail(email, name || email.split('@')[0], licenseKey, { plan: plan.id });
+    
+    res.json({
+      success: true,
+      license: {
+        key: licenseKey,
+        email: email,
+        plan: plan.id,
+        expiresAt: expiresAt.toISOString()
+      },
+      message: 'License created and email sent'
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get license info (admin only)
+app.get('/api/admin/license/:key', requireAdmin('licenses:read'), validate(licenseKeyParam), async (req, res, next) => {
+  try {
+    const license = await License.findOne({ licenseKey: normalizeLicenseKey(req.params.key) });
+    
+    if (!license) {
+      return res.status(404).json({ error: 'License not found', code: 'LICENSE_NOT_FOUND' });
+    }
+    
+    res.json({
+      license: formatAdminLicense(license)
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Accepts the contents of generated-keys.json or a bare array of keys
+const importKeysRequest = validate({
+  keys: {
+    custom: {
+      options: (value, { req }) => {
+        const keys = Array.isArray(req.body) ? req.body : value;
+        return Array.isArray(keys) && keys.length > 0;
+      }
+    },
+    errorMessage: 'A non-empty keys array is required'
+  }
+});
+
+// Import keys generated offline by generate-keys.mjs (admin only)
+app.post('/api/admin/import-keys', requireAdmin('licenses:import'), importKeysRequest, async (req, res, next) => {
+  try {
+    const keys = Array.isArray(req.body) ? req.body : req.body.keys;
+    
+    const report = await importGeneratedKeys(keys);
+    
+    logger.info('Imported generated keys', { imported: report.imported.length, total: report.total });
+    
+    await recordAudit(req, 'import-keys', {
+      details: {
+        imported: report.imported,
+        skipped: report.skipped.length,
+        failed: report.failed.length
+      }
+    });
+    
+    res.json({
+      success: true,
+      report: report
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+const webhookEventsRequest = validate({
+  status: oneOf(['processing', 'processed', 'failed'], { optional: true, location: 'query' }),
+  limit: limitQuery
+});
+
+// List recorded webhook events, failed ones by default (admin only)
+app.get('/api/admin/webhook-events', requireAdmin('webhooks:read'), webhookEventsRequest, async (req, res, next) => {
+  try {
+    const status = req.query.status || 'failed';
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    
+    const events = await WebhookEvent.find({ status: status })
+      .sort({ receivedAt: -1 })
+      .limit(limit)
+      .select('-payload');
+    
+    res.json({ events: events });
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+const replayWebhookRequest = validate({
+  eventId: requiredString('Event ID is required', { location: 'params' }),
+  force: optionalBoolean()
+});
+
+// Replay a recorded webhook event (admin only)
+app.post('/api/admin/webhook-events/:eventId/replay', requireAdmin('webhooks:replay'), replayWebhookRequest, async (req, res, next) => {
+  try {
+    const now = new Date();
+    const existing = await WebhookEvent.findOne({ eventId: req.params.eventId });
+    
+    if (!existing) {
+      return res.status(404).json({ error: 'Webhook event not found', code: 'WEBHOOK_EVENT_NOT_FOUND' });
+    }
+    
+    if (existing.status === 'processed' && !req.body.force) {
+      return res.status(409).json({ error: 'Webhook event was already processed, pass force to replay it anyway', code: 'WEBHOOK_EVENT_PROCESSED' });
+    }
+    
+    // Claimed atomically so a replay can't race a Stripe retry
+    const reclaimable = reclaimableWebhookFilter(now);
+    if (req.body.force) {
+      reclaimable.$or.push({ status: 'processed' });
+    }
+    const record = await leaseWebhookEvent(existing.eventId, reclaimable, now);
+    
+    if (!record) {
+      return res.status(409).json({ error: 'Webhook event is already being processed', code: 'WEBHOOK_EVENT_IN_PROGRESS' });
+    }
+    
+    await recordAudit(req, 'replay-webhook', {
+      details: { eventId: record.eventId, type: record.type }
+    });
+    
+    try {
+      await processWebhookEvent(record);
+    } catch (err) {
+      return res.status(500).json({
+        success: false,
+        eventId: record.eventId,
+        status: record.status,
+        error: record.error,
+        code: 'WEBHOOK_FAILED'
+      });
+    }
+    
+    logger.info('Replayed webhook event', { eventId: record.eventId });
+    
+    res.json({
+      success: true,
+      eventId: record.eventId,
+      status: record.status,
+      attempts: record.attempts
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+// List email templates (admin only)
+app.get('/api/admin/email-templates', requireAdmin('licenses:read'), (req, res) => {
+  res.json({ templates: listTemplates() });
+});
+
+// Render an email template with sample data without sending it (admin only).
+// POST a JSON body to override sample values; ?format=html or text returns
+// the rendered body directly for viewing in a browser.
+function previewEmailTemplate(req, res) {
+  try {
+    if (!hasTemplate(req.params.name)) {
+      return res.status(404).json({ error: 'Email template not found', code: 'TEMPLATE_NOT_FOUND' });
+    }
+    
+    const overrides = req.method === 'POST' && req.body && typeof req.body === 'object' ? req.body : {};
+    const rendered = renderSample(req.params.name, overrides);
+    
+    if (req.query.format === 'html') {
+      return res.type('html').send(rendered.html);
+    }
+    if (req.query.format === 'text') {
+      return res.type('text').send(rendered.text);
+    }
+    
+    res.json({ template: req.params.name, ...rendered });
+    
+  } catch (error) {
+    logger.error('Email template preview error', { error });
+    res.status(500).json({ error: 'Failed to render template', code: 'TEMPLATE_RENDER_FAILED' });
+  }
+}
+
+// Sample overrides in the POST body are free-form
+const previewTemplateRequest = validate({
+  name: requiredString('Template name is required', { location: 'params' }),
+  format: oneOf(['html', 'text'], { optional: true, location: 'query' })
+});
+
+app.get('/api/admin/email-templates/:name/preview', requireAdmin('licenses:read'), previewTemplateRequest, previewEmailTemplate);
+app.post('/api/admin/email-templates/:name/preview', requireAdmin('licenses:read'), previewTemplateRequest, previewEmailTemplate);
+
+const outboxRequest = validate({
+  status: oneOf(['pending', 'sending', 'sent', 'failed'], { optional: true, location: 'query' }),
+  limit: limitQuery
+});
+
+// List outbox emails, undeliverable ones by default (admin only)
+app.get('/api/admin/outbox', requireAdmin('licenses:resend'), outboxRequest, async (req, res, next) => {
+  try {
+    const status = req.query.status || 'failed';
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    
+    const messages = await OutboxMessage.find({ status: status })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .select('-html -text');
+    
+    res.json({ messages: messages });
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+const objectIdParam = {
+  id: {
+    in: ['params'],
+    isMongoId: { errorMessage: 'id is not a valid ID' }
+  }
+};
+
+// Re-send an outbox email now (admin only)
+app.post('/api/admin/outbox/:id/resend', requireAdmin('licenses:resend'), validate(objectIdParam), async (req, res, next) => {
+  try {
+    const message = await resendMessage(req.params.id);
+    
+    if (!message) {
+      return res.status(404).json({ error: 'Message not found, already sent or being sent', code: 'MESSAGE_NOT_FOUND' });
+    }
+    
+    await recordAudit(req, 'resend-outbox-email', {
+      details: { messageId: message._id, template: message.template, status: message.status }
+    });
+    
+    res.json({
+      success: message.status === 'sent',
+      id: message._id,
+      status: message.status,
+      attempts: message.attempts,
+      lastError: message.lastError
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Scheduled job status (admin only)
+app.get('/api/admin/jobs', requireAdmin('jobs:read'), async (req, res, next) => {
+  try {
+    res.json({ jobs: await getJobStatus() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Run a scheduled job now (admin only)
+app.post('/api/admin/jobs/:name/run', requireAdmin('jobs:run'), async (req, res, next) => {
+  try {
+    if (!LICENSE_JOBS.some(job => job.name === req.params.name)) {
+      return res.status(404).json({ error: 'Job not found', code: 'JOB_NOT_FOUND' });
+    }
+    
+    const outcome = await runJob(req.params.name, { force: true });
+    
+    if (!outcome) {
+      return res.status(409).json({ error: 'Job is already running', code: 'JOB_RUNNING' });
+    }
+    
+    await recordAudit(req, 'run-job', {
+      details: { job: req.params.name, result: outcome.result, error: outcome.error }
+    });
+    
+    res.json({ success: !outcome.error, job: req.params.name, ...outcome });
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+const MAX_COUPON_REDEMPTIONS = 1000000;
+
+const couponLimits = {
+  maxRedemptions: intField(1, MAX_COUPON_REDEMPTIONS, { optional: true, message: 'maxRedemptions must be at least 1' }),
+  expiresAt: optionalDate(),
+  notes: optionalString({ max: 1000 })
+};
+
+const createCouponRequest = validate({
+  campaign: requiredString('campaign is required', { max: 100 }),
+  code: {
+    in: ['body'],
+    optional: { options: { values: 'falsy' } },
+    isString: { errorMessage: 'code must be a string', bail: true },
+    customSanitizer: { options: normalizeCouponCode },
+    matches: { options: [/^[A-Z0-9-]{4,32}$/], errorMessage: 'code must be 4-32 letters, digits or dashes' }
+  },
+  days: intField(1, 3650),
+  ...couponLimits
+});
+
+// Create an internal coupon (admin only)
+app.post('/api/admin/coupons', requireAdmin('coupons:manage'), createCouponRequest, async (req, res, next) => {
+  try {
+    const { campaign, days, maxRedemptions, expiresAt, notes } = req.body;
+    const code = req.body.code || generateCouponCode();
+    
+    let coupon;
+    try {
+      coupon = await Coupon.create({
+        code,
+        campaign,
+        days,
+        maxRedemptions,
+        expiresAt,
+        notes,
+        createdBy: req.adminActor
+      });
+    } catch (err) {
+      if (err.code === 11000) {
+        return res.status(409).json({ error: 'A coupon with that code already exists', code: 'COUPON_EXISTS' });
+      }
+      throw err;
+    }
+    
+    await recordAudit(req, 'create-coupon', {
+      details: { code: coupon.code, campaign: coupon.campaign, days, maxRedemptions, expiresAt }
+    });
+    
+    logger.info('Admin created coupon', { admin: req.adminActor, coupon: coupon.code });
+    
+    res.json({ success: true, coupon: coupon });
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+const campaignQuery = optionalString({ max: 100, location: 'query' });
+
+const listCouponsRequest = validate({
+  campaign: campaignQuery,
+  active: optionalBoolean({ location: 'query' }),
+  limit: limitQuery
+});
+
+// List coupons, optionally for one campaign (admin only)
+app.get('/api/admin/coupons', requireAdmin('coupons:read'), listCouponsRequest, async (req, res, next) => {
+  try {
+    const filter = {};
+    if (req.query.campaign) {
+      filter.campaign = req.query.campaign;
+    }
+    if (req.query.active !== undefined) {
+      filter.isActive = req.query.active;
+    }
+    
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const coupons = await Coupon.find(filter).sort({ createdAt: -1 }).limit(limit);
+    
+    res.json({ coupons: coupons });
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+// The coupon code in admin URLs
+const couponCodeParam = {
+  code: requiredString('Coupon code is required', { location: 'params', max: 64 })
+};
+
+// Null clears maxRedemptions or expiresAt
+const updateCouponRequest = validate({
+  ...couponCodeParam,
+  isActive: optionalBoolean(),
+  ...couponLimits
+});
+
+// Change a coupon's limits or switch it off (admin only)
+app.post('/api/admin/coupons/:code', requireAdmin('coupons:manage'), updateCouponRequest, async (req, res, next) => {
+  try {
+    const coupon = await Coupon.findOne({ code: normalizeCouponCode(req.params.code) });
+    
+    if (!coupon) {
+      return res.status(404).json({ error: 'Coupon not found', code: 'COUPON_NOT_FOUND' });
+    }
+    
+    const { isActive, maxRedemptions, expiresAt, notes } = req.body;
+    const changes = {};
+    
+    if (isActive !== undefined) {
+      changes.isActive = { from: coupon.isActive, to: isActive };
+      coupon.isActive = isActive;
+    }
+    
+    if (maxRedemptions !== undefined) {
+      changes.maxRedemptions = { from: coupon.maxRedemptions ?? null, to: maxRedemptions };
+      coupon.maxRedemptions = maxRedemptions ?? undefined;
+    }
+    
+    if (expiresAt !== undefined) {
+      changes.expiresAt = { from: coupon.expiresAt ?? null, to: expiresAt };
+      coupon.expiresAt = expiresAt ?? undefined;
+    }
+    
+    if (notes !== undefined) {
+      coupon.notes = notes || undefined;
+    }
+    
+    await coupon.save();
+    
+    await recordAudit(req, 'update-coupon', {
+      changes: changes,
+      details: { code: coupon.code, campaign: coupon.campaign }
+    });
+    
+    res.json({ success: true, coupon: coupon });
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+const couponRedemptionsRequest = validate({
+  ...couponCodeParam,
+  limit: limitQuery
+});
+
+// Who redeemed a coupon (admin only)
+app.get('/api/admin/coupons/:code/redemptions', requireAdmin('coupons:read'), couponRedemptionsRequest, async (req, res, next) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+    const redemptions = await CouponRedemption.find({ code: normalizeCouponCode(req.params.code) })
+      .sort({ redeemedAt: -1 })
+      .limit(limit);
+    
+    res.json({ redemptions: redemptions });
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Redemption report for every campaign, or one (admin only)
+app.get('/api/admin/coupon-campaigns', requireAdmin('coupons:read'), validate({ campaign: campaignQuery }), async (req, res, next) => {
+  try {
+    res.json({ campaigns: await getCampaignReports(req.query.campaign) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Business metrics grouped by ?interval=day|week|month between optional
+// ?from and ?to dates (admin only). parseRange checks the values.
+const metricsRequest = validate({
+  interval: optionalString({ max: 10, location: 'query' }),
+  from: optionalString({ max: 40, location: 'query' }),
+  to: optionalString({ max: 40, location: 'query' })
+});
+
+function metricsRoute(report) {
+  return async (req, res, next) => {
+    try {
+      const range = parseRange(req.query);
+      if (range.error) {
+        return res.status(400).json({ error: range.error, code: 'VALIDATION_FAILED' });
+      }
+      
+      res.json({
+        interval: range.interval,
+        from: range.from,
+        to: range.to,
+        series: await report(range)
+      });
+      
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+app.get('/api/admin/metrics/validations', requireAdmin('metrics:read'), metricsRequest, metricsRoute(getValidationVolume));
+app.get('/api/admin/metrics/active-licenses', requireAdmin('metrics:read'), metricsRequest, metricsRoute(getActiveLicenses));
+app.get('/api/admin/metrics/subscriptions', requireAdmin('metrics:read'), metricsRequest, metricsRoute(getSubscriptionMetrics));
+
+// Current MRR at list price, by plan (admin only)
+app.get('/api/admin/metrics/mrr', requireAdmin('metrics:read'), async (req, res, next) => {
+  try {
+    res.json(await getCurrentMrr());
+  } catch (error) {
+    next(error);
+  }
+});
+
+const searchLicensesRequest = validate({
+  email: optionalString({ location: 'query' }),
+  plan: optionalString({ max: 50, location: 'query' }),
+  active: optionalBoolean({ location: 'query' }),
+  expiringBefore: optionalDate({ location: 'query' }),
+  stripeCustomerId: optionalString({ max: 100, location: 'query' }),
+  page: intField(1, 100000, { optional: true, location: 'query' }),
+  limit: limitQuery
+});
+
+// Search licenses (admin only)
+app.get('/api/admin/licenses', requireAdmin('licenses:read'), searchLicensesRequest, async (req, res, next) => {
+  try {
+    const { email, plan, active, expiringBefore, stripeCustomerId } = req.query;
+    const page = req.query.page || 1;
+    const limit = Math.min(req.query.limit || 25, 100);
+    
+    const filter = {};
+    if (email) {
+      filter.customerEmail = { $regex: escapeRegex(email), $options: 'i' };
+    }
+    if (plan) {
+      filter.plan = plan;
+    }
+    if (active !== undefined) {
+      filter.isActive = active;
+    }
+    if (expiringBefore) {
+      filter.expiresAt = { $lt: expiringBefore };
+    }
+    if (stripeCustomerId) {
+      filter.stripeCustomerId = stripeCustomerId;
+    }
+    
+    const [licenses, total] = await Promise.all([
+      License.find(filter)
+        .sort(expiringBefore ? { expiresAt: 1 } : { createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      License.countDocuments(filter)
+    ]);
+    
+    res.json({
+      licenses: licenses.map(formatAdminLicense),
+      page: page,
+      limit: limit,
+      total: total,
+      pages: Math.ceil(total / limit)
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+const licenseChangeRequest = validate({
+  ...licenseKeyParam,
+  reason: auditReason
+});
+
+// Revoke a license (admin only)
+app.post('/api/admin/license/:key/revoke', requireAdmin('licenses:revoke'), licenseChangeRequest, async (req, res, next) => {
+  try {
+    await mutateLicense(req, res, 'revoke', (license) => {
+      if (!license.isActive) {
+        return 'License is already inactive';
+      }
+      license.isActive = false;
+      license.deactivatedReason = 'admin';
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Reactivate a revoked license (admin only)
+app.post('/api/admin/license/:key/reactivate', requireAdmin('licenses:revoke'), licenseChangeRequest, async (req, res, next) => {
+  try {
+    await mutateLicense(req, res, 'reactivate', (license) => {
+      if (license.isActive) {
+        return 'License is already active';
+      }
+      if (license.expiresAt && new Date() > license.expiresAt) {
+        return 'License has expired, extend it instead';
+      }
+      license.isActive = true;
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+const extendLicenseRequest = validate({
+  ...licenseKeyParam,
+  days: intField(1, 3650),
+  reason: auditReason
+});
+
+// Extend a license by N days (admin only)
+app.post('/api/admin/license/:key/extend', requireAdmin('licenses:extend'), extendLicenseRequest, async (req, res, next) => {
+  try {
+    const { days } = req.body;
+    
+    await mutateLicense(req, res, 'extend', (license) => {
+      if (license.isPendingActivation) {
+        return 'License has not been activated yet';
+      }
+      
+      // Expired licenses are extended from today, not from the old expiry
+      const now = new Date();
+      const from = license.expiresAt > now ? license.expiresAt : now;
+      const expiresAt = new Date(from);
+      expiresAt.setDate(expiresAt.getDate() + days);
+      
+      license.expiresAt = expiresAt;
+      // Extra time only revives a license that lapsed, never one that was
+      // revoked or blocked for billing
+      if (license.isLapsed()) {
+        license.isActive = true;
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+const deviceLookupRequest = validate({
+  deviceId: requiredString('Device ID is required', { location: 'params' })
+});
+
+// Which license a device uses and which it used before (admin only)
+app.get('/api/admin/device/:deviceId', requireAdmin('licenses:read'), deviceLookupRequest, async (req, res, next) => {
+  try {
+    const binding = await getDeviceBinding(req.params.deviceId);
+    
+    if (!binding) {
+      return res.status(404).json({ error: 'Device not found', code: 'DEVICE_NOT_FOUND' });
+    }
+    
+    res.json({ device: binding });
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Remove every device from a license (admin only)
+app.post('/api/admin/license/:key/clear-devices', requireAdmin('licenses:devices'), licenseChangeRequest, async (req, res, next) => {
+  try {
+    await mutateLicense(req, res, 'clear-devices', (license) => {
+      license.devices = [];
+      license.pendingTransfer = undefined;
+    });
+    if (res.statusCode === 200) {
+      await unbindLicense(normalizeLicenseKey(req.params.key), 'cleared').catch(error => {
+        logger.error('Failed to clear device bindings', { error });
+      });
+    }
+  } catch (error) {
+    next(error);
+  }
+});
+
+const entitlementsRequest = validate({
+  ...licenseKeyParam,
+  overrides: {
+    in: ['body'],
+    optional: { options: { values: 'null' } },
+    isObject: { options: { strict: true }, errorMessage: 'overrides must be an object', bail: true },
+    // Throws with the reason an override is rejected
+    custom: { options: (overrides) => validateEntitlementOverrides(overrides) || true }
+  },
+  remove: {
+    in: ['body'],
+    optional: { options: { values: 'null' } },
+    isArray: { errorMessage: 'remove must be an array' }
+  },
+  reason: auditReason
+});
+
+// Set or clear entitlement overrides on a license (admin only). Keys in
+// `overrides` replace the plan's value; names listed in `remove` go back
+// to the plan's value.
+app.post('/api/admin/license/:key/entitlements', requireAdmin('licenses:plan'), entitlementsRequest, async (req, res, next) => {
+  try {
+    const overrides = req.body.overrides || {};
+    const remove = req.body.remove || [];
+    
+    await mutateLicense(req, res, 'edit-entitlements', (license) => {
+      const merged = { ...(license.entitlementOverrides || {}), ...overrides };
+      for (const name of remove) {
+        delete merged[name];
+      }
+      license.entitlementOverrides = Object.keys(merged).length > 0 ? merged : undefined;
+      license.markModified('entitlementOverrides');
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+const changePlanRequest = validate({
+  ...licenseKeyParam,
+  plan: {
+    in: ['body'],
+    custom: { options: (planId) => !!getPlan(planId) },
+    errorMessage: (planId) => `Unknown plan: ${planId}`
+  },
+  reason: auditReason
+});
+
+// Change the plan of a license (admin only)
+app.post('/api/admin/license/:key/plan', requireAdmin('licenses:plan'), changePlanRequest, async (req, res, next) => {
+  try {
+    const plan = getPlan(req.body.plan);
+    
+    await mutateLicense(req, res, 'change-plan', (license) => {
+      license.plan = plan.id;
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+const editNotesRequest = validate({
+  ...licenseKeyParam,
+  notes: {
+    in: ['body'],
+    isString: { errorMessage: 'notes must be a string', bail: true },
+    isLength: { options: { max: 5000 }, errorMessage: 'notes must be at most 5000 characters' }
+  },
+  reason: auditReason
+});
+
+// Replace the notes on a license (admin only)
+app.post('/api/admin/license/:key/notes', requireAdmin('licenses:notes'), editNotesRequest, async (req, res, next) => {
+  try {
+    const { notes } = req.body;
+    
+    await mutateLicense(req, res, 'edit-notes', (license) => {
+      license.notes = notes.trim() || undefined;
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Audit trail for a license (admin only)
+app.get('/api/admin/license/:key/audit', requireAdmin('licenses:read'), validate(licenseKeyParam), async (req, res, next) => {
+  try {
+    const entries = await AuditLog.find({ licenseKey: normalizeLicenseKey(req.params.key) })
+      .sort({ createdAt: -1 })
+      .limit(200);
+    
+    res.json({ entries: entries });
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Re-send the license email (admin only)
+app.post('/api/admin/license/:key/resend', requireAdmin('licenses:resend'), validate(licenseKeyParam), async (req, res, next) => {
+  try {
+    const license = await License.findOne({ licenseKey: normalizeLicenseKey(req.params.key) });
+    
+    if (!license) {
+      return res.status(404).json({ error: 'License not found', code: 'LICENSE_NOT_FOUND' });
+    }
+    
+    if (!license.customerEmail) {
+      return res.status(400).json({ error: 'License has no email address', code: 'NO_EMAIL_ON_FILE' });
+    }
+    
+    await sendLicenseEmail(license.customerEmail, license.customerName, license.licenseKey, {
+      plan: license.plan
+    });
+    
+    await recordAudit(req, 'resend', { licenseKey: license.licenseKey });
+    
+    res.json({ success: true, message: 'License email sent' });
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+function stripeId(value) {
+  return typeof value === 'string' ? value : value?.id || null;
+}
+
+// The latest charge that paid for this license: the last paid invoice of
+// its subscription, or the checkout session that bought it. Never another
+// of the customer's charges.
+async function findLicenseCharge(license) {
+  let paymentIntentId = null;
+  
+  if (license.stripeSubscriptionId) {
+    const invoices = await stripe.invoices.list({ subscription: license.stripeSubscriptionId, status: 'paid', limit: 1 });
+    const invoice = invoices.data[0];
+    if (invoice) {
+      const payments = await stripe.invoicePayments.list({ invoice: invoice.id, status: 'paid', limit: 1 });
+      paymentIntentId = stripeId(payments.data[0]?.payment?.payment_intent);
+    }
+  } else if (license.stripeSessionId) {
+    const session = await stripe.checkout.sessions.retrieve(license.stripeSessionId);
+    paymentIntentId = stripeId(session.payment_intent);
+  }
+  
+  if (!paymentIntentId) {
+    return null;
+  }
+  
+  const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId, { expand: ['latest_charge'] });
+  const charge = paymentIntent.latest_charge;
+  if (!charge || stripeId(charge.customer) !== license.stripeCustomerId) {
+    return null;
+  }
+  return charge;
+}
+
+// Refund the latest payment for a license and revoke it (admin only)
+app.post('/api/admin/license/:key/refund', requireAdmin('billing:refund'), licenseChangeRequest, async (req, res, next) => {
+  try {
+    const license = await License.findOne({ licenseKey: normalizeLicenseKey(req.params.key) });
+    
+    if (!license) {
+      return res.status(404).json({ error: 'License not found', code: 'LICENSE_NOT_FOUND' });
+    }
+    
+    if (!license.stripeCustomerId) {
+      return res.status(400).json({ error: 'License has no Stripe customer', code: 'NO_BILLING_ACCOUNT' });
+    }
+    
+    const charge = await findLicenseCharge(license);
+    
+    if (!charge || !charge.paid || charge.refunded) {
+      return res.status(400).json({ error: 'No refundable payment found', code: 'NO_REFUNDABLE_PAYMENT' });
+    }
+    
+    const refund = await stripe.refunds.create({
+      charge: charge.id,
+      reason: 'requested_by_customer'
+    });
+    
+    if (license.stripeSubscriptionId) {
+      await stripe.subscriptions.cancel(license.stripeSubscriptionId);
+    }
+    
+    const before = snapshotLicense(license);
+    license.applyRefund(charge.id, refund.amount + charge.amount_refunded, charge.amount);
+    license.isActive = false;
+    await license.save();
+    
+    await recordAudit(req, 'refund', {
+      licenseKey: license.licenseKey,
+      changes: diffSnapshots(before, snapshotLicense(license)),
+      details: { chargeId: charge.id, refundId: refund.id, amount: refund.amount, reason: req.body.reason }
+    });
+    
+    logger.info('Admin refunded payment', { admin: req.adminActor, chargeId: charge.id, licenseKey: license.licenseKey });
+    
+    res.json({
+      success: true,
+      refund: { id: refund.id, amount: refund.amount, currency: refund.currency, status: refund.status },
+      license: formatAdminLicense(license)
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+const adminPasswordField = {
+  in: ['body'],
+  isString: { errorMessage: 'Password must be at least 12 characters', bail: true },
+  isLength: { options: { min: 12, max: 1000 }, errorMessage: 'Password must be at least 12 characters' }
+};
+
+const adminRoleField = {
+  in: ['body'],
+  isIn: { options: [ADMIN_ROLES], errorMessage: `Role must be one of: ${ADMIN_ROLES.join(', ')}` }
+};
+
+// List admin users (owner only)
+app.get('/api/admin/users', requireAdmin('admins:manage'), async (req, res, next) => {
+  try {
+    const users = await AdminUser.find().sort({ createdAt: 1 });
+    res.json({ users: users });
+  } catch (error) {
+    next(error);
+  }
+});
+
+const createAdminRequest = validate({
+  email: requiredEmail('Email, password and role are required'),
+  name: optionalString({ max: 100 }),
+  role: { exists: { errorMessage: 'Email, password and role are required', bail: true }, ...adminRoleField },
+  password: adminPasswordField
+});
+
+// Create an admin user (owner only)
+app.post('/api/admin/users', requireAdmin('admins:manage'), createAdminRequest, async (req, res, next) => {
+  try {
+    const { email, name, password, role } = req.body;
+    
+    const adminUser = new AdminUser({ email, name, role, createdBy: req.adminActor });
+    await adminUser.setPassword(password);
+    
+    try {
+      await adminUser.save();
+    } catch (err) {
+      if (err.code === 11000) {
+        return res.status(409).json({ error: 'An admin with that email already exists', code: 'ADMIN_EXISTS' });
+      }
+      throw err;
+    }
+    
+    await recordAudit(req, 'create-admin', { details: { email: adminUser.email, role: role } });
+    
+    res.json({ success: true, admin: adminUser });
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+const updateAdminRequest = validate({
+  ...objectIdParam,
+  role: { ...adminRoleField, optional: true },
+  password: { ...adminPasswordField, optional: true },
+  isActive: optionalBoolean()
+});
+
+// Change an admin user's role, password or active flag (owner only)
+app.post('/api/admin/users/:id', requireAdmin('admins:manage'), updateAdminRequest, async (req, res, next) => {
+  try {
+    const { role, password, isActive } = req.body;
+    
+    const adminUser = await AdminUser.findById(req.params.id);
+    
+    if (!adminUser) {
+      return res.status(404).json({ error: 'Admin user not found', code: 'ADMIN_NOT_FOUND' });
+    }
+    
+    const changes = {};
+    
+    if (role !== undefined) {
+      changes.role = { from: adminUser.role, to: role };
+      adminUser.role = role;
+    }
+    
+    if (isActive !== undefined) {
+      changes.isActive = { from: adminUser.isActive, to: isActive };
+      adminUser.isActive = isActive;
+    }
+    
+    if (password !== undefined) {
+      await adminUser.setPassword(password);
+      changes.password = { from: '[redacted]', to: '[redacted]' };
+    }
+    
+    await adminUser.save();
+    
+    await recordAudit(req, 'update-admin', { changes: changes, details: { email: adminUser.email } });
+    
+    res.json({ success: true, admin: adminUser });
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.use('/api', notFoundHandler);
+app.use(errorHandler);
+
+app.listen(config.port, () => {
+  logger.info('Server running', {
+    port: config.port,
+    mailTransport: getTransport().name,
+    stripeMode: process.env.STRIPE_SECRET_KEY?.startsWith('sk_test') ? 'test' : 'live',
+    corsOrigins: config.corsOrigins,
+    extensionIds: config.extensionIds,
+    logLevel: logger.level
+  });
 });
\ No newline at end of file